@@ -0,0 +1,61 @@
+// The continued fraction methods against exact BigInt Taylor and CORDIC baselines at the same
+// precision, over three angle sets. Run with `deno task bench:methods`; pass `--bits=53,256`
+// to choose the precisions and `--methods=cscf,taylor` to run a subset.
+import { BENCHMARK_METHODS, benchmarkMethods } from './public/Baselines.js';
+
+function listArg(name: string, fallback: string) {
+  const arg = Deno.args.find(a => a.startsWith(`--${name}=`));
+  return (arg ? arg.slice(name.length + 3) : fallback).split(',').filter(Boolean);
+}
+
+const precisions = listArg('bits', '53,256').map(Number);
+const methods = listArg('methods', Object.keys(BENCHMARK_METHODS).join(','));
+
+// A fixed seed keeps the random set, and so the table, reproducible.
+function* lcg(seed: bigint) {
+  while (true) {
+    seed = (seed * 6364136223846793005n + 1442695040888963407n) % (1n << 64n);
+    yield seed >> 16n;
+  }
+}
+
+function randomRationals(count: number, bound: bigint) {
+  const random = lcg(20240607n);
+  return Array.from({ length: count }, () => ({
+    n: random.next().value! % (2n * bound + 1n) - bound,
+    d: random.next().value! % bound + 1n
+  }));
+}
+
+const ANGLE_SETS: Record<string, { n: bigint, d: bigint }[]> = {
+  'π approximations': [
+    { n: 22n, d: 7n },
+    { n: 355n, d: 113n },
+    { n: 355n, d: 226n },
+    { n: 355n, d: 678n },
+    { n: 103993n, d: 33102n },
+    { n: 104348n, d: 33215n }
+  ],
+  'random rationals (|p|, q ≤ 10^6)': randomRationals(8, 10n ** 6n),
+  'large numerators': [
+    { n: 10n ** 9n + 7n, d: 3n },
+    { n: (1n << 40n) + 1n, d: 5n },
+    { n: 10n ** 15n, d: 7n },
+    { n: 123456789012345678n, d: 1000n }
+  ]
+};
+
+for (const bits of precisions) {
+  for (const [name, angles] of Object.entries(ANGLE_SETS)) {
+    const rows = benchmarkMethods(angles, { bits, methods }).map(row => ({
+      method: row.label,
+      iterations: row.totalIterations,
+      multiplications: row.multiplications,
+      'time (ms)': row.ms.toFixed(1),
+      'min correct bits': row.minCorrectBits
+    }));
+
+    console.log(`${name}: ${angles.length} angles at ${bits} bits`);
+    console.table(rows);
+  }
+}
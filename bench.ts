@@ -0,0 +1,74 @@
+// Binary splitting versus the forward recurrences for deep continued fractions of e^{i/q}.
+// Run with `deno task bench`. A recurrence stops once it exceeds its time budget
+// (`--budget=<seconds>`, default 60) and larger sizes are then skipped for it.
+import {
+  computeAllConvergents,
+  computeIntegerConvergents,
+  evaluateConvergent,
+  generateCoefficients
+} from './public/Trig.js';
+
+const SIZES = [1_000, 10_000, 100_000];
+const DENOMINATOR = 1n;
+const BITS = 256;
+
+const budgetArg = Deno.args.find(arg => arg.startsWith('--budget='));
+const budgetMs = Number(budgetArg ? budgetArg.slice('--budget='.length) : 60) * 1000;
+
+function* untilDeadline<T>(items: Iterable<T>, deadline: number) {
+  for (const item of items) {
+    if (performance.now() > deadline) return;
+    yield item;
+  }
+}
+
+function time<T>(fn: () => T): { result: T, ms: number } {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+// Each recurrence gets the same coefficients, cut off at its deadline; once one runs out of
+// time it is skipped for every larger size.
+const recurrences = {
+  'recurrence (ms)': (coefficients: Iterable<unknown>) =>
+    computeAllConvergents(coefficients, 1n, { bits: BITS }).convergents.length,
+  'integer recurrence (ms)': (coefficients: Iterable<unknown>) =>
+    computeIntegerConvergents(coefficients, 1n, { bits: BITS, quotientBits: BITS }).coefficients.length
+};
+const exhausted = new Set<string>();
+
+const rows = [];
+
+for (const terms of SIZES) {
+  const coefficients = generateCoefficients(DENOMINATOR, terms);
+
+  const split = time(() => evaluateConvergent(coefficients, { bits: BITS }));
+  const row: Record<string, string | number> = {
+    terms,
+    '|q_n| bits': Math.round(split.result.denominator.norm().toString(2).length / 2),
+    'binary splitting (ms)': split.ms.toFixed(0)
+  };
+
+  for (const [name, run] of Object.entries(recurrences)) {
+    if (exhausted.has(name)) {
+      row[name] = 'skipped';
+      continue;
+    }
+
+    const deadline = performance.now() + budgetMs;
+    const loop = time(() => run(untilDeadline(coefficients, deadline)));
+
+    if (loop.result < terms) {
+      row[name] = `> ${(budgetMs / 1000).toFixed(0)} s (${loop.result} terms)`;
+      exhausted.add(name);
+    } else {
+      row[name] = `${loop.ms.toFixed(0)} (${(loop.ms / split.ms).toFixed(1)}x)`;
+    }
+  }
+
+  rows.push(row);
+}
+
+console.log(`Convergent of e^(i/${DENOMINATOR}) after n terms, quotient to ${BITS} bits`);
+console.table(rows);
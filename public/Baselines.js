@@ -0,0 +1,235 @@
+import Complex from './Complex.js';
+import {
+  expRecurrence,
+  expBinarySplitting,
+  lambertWithConvergents,
+  trigReference,
+  reduceAngle,
+  applyReduction,
+  resolvePrecision
+} from './Trig.js';
+import {
+  bigIntSqrt,
+  bitLength,
+  piRational,
+  toFloating,
+  recordMultiply,
+  profileOperations
+} from './RationalBigInt.js';
+
+// Textbook evaluations of e^{iθ} in exact BigInt fixed point, kept as baselines for the continued
+// fraction methods. Both reduce θ into [0, π/4] with reduceAngle and rebuild the result with
+// applyReduction, so they only differ from each other (and from the pipeline) in the core loop.
+
+const BASELINE_GUARD_BITS = 8;
+const BENCHMARK_REFERENCE_BITS = 64;
+
+function fixedPointSetup(n, d, options) {
+  const { bits } = resolvePrecision(options);
+  const reduction = reduceAngle(n, d, bits);
+  const fractionBits = BigInt(bits + bitLength(BigInt(bits)) + BASELINE_GUARD_BITS);
+  const one = 1n << fractionBits;
+  const angle = (reduction.reduced.n << fractionBits) / reduction.reduced.d;
+
+  return { bits, reduction, fractionBits, one, angle };
+}
+
+
+function fixedPointResult(re, im, { reduction, one }, iterationMetrics) {
+  return {
+    value: applyReduction(new Complex(re, one, im, one), reduction),
+    reduction,
+    iterationMetrics
+  };
+}
+
+
+// Sums cos x + i sin x term by term until a term drops below one unit of 2^-F. Each term costs
+// one full-width multiplication and one division by a small integer.
+export function taylorBaseline({ n, d }, options = {}) {
+  const setup = fixedPointSetup(n, d, options);
+  const { fractionBits, one, angle } = setup;
+
+  let re = 0n;
+  let im = 0n;
+  let term = one;
+  let terms = 0n;
+
+  while (term !== 0n) {
+    const index = terms % 4n;
+    if (index === 0n) re += term;
+    else if (index === 1n) im += term;
+    else if (index === 2n) re -= term;
+    else im -= term;
+
+    terms++;
+    recordMultiply(term, angle);
+    term = term * angle / (terms << fractionBits);
+  }
+
+  const iterations = Number(terms);
+  return fixedPointResult(re, im, setup, {
+    iterations,
+    multiplications: iterations,
+    divisions: iterations,
+    totalIterations: iterations
+  });
+}
+
+
+// atan(2^-i) for i < count and the inverse CORDIC gain, both at F fraction bits. The table is
+// the same for every angle, so it is built once per precision and left out of the counters.
+const cordicTables = new Map();
+
+function cordicTable(fractionBits, count) {
+  const key = `${fractionBits}|${count}`;
+  if (cordicTables.has(key)) return cordicTables.get(key);
+
+  const one = 1n << fractionBits;
+  const pi = piRational(Number(fractionBits) + BASELINE_GUARD_BITS);
+  const angles = [(pi.n << fractionBits) / (4n * pi.d)];
+
+  for (let i = 1n; i < BigInt(count); i++) {
+    let sum = 0n;
+    let term = one >> i;
+    for (let k = 1n; term !== 0n; k += 2n) {
+      sum += (k & 2n) ? -term / k : term / k;
+      term >>= 2n * i;
+    }
+    angles.push(sum);
+  }
+
+  // The rotations scale the vector by prod sqrt(1 + 2^-2i); starting from 1/gain cancels it.
+  let gainSquared = one;
+  for (let i = 0n; i < BigInt(count); i++) {
+    gainSquared += gainSquared >> (2n * i);
+  }
+  const inverseGain = bigIntSqrt((one << (2n * fractionBits)) / gainSquared);
+
+  const table = { angles, inverseGain };
+  cordicTables.set(key, table);
+  return table;
+}
+
+
+// Rotation-mode CORDIC: each iteration rotates by ±atan(2^-i) with two shifts and three
+// additions and gains about one bit, so b bits take about b iterations and no multiplications.
+export function cordicBaseline({ n, d }, options = {}) {
+  const setup = fixedPointSetup(n, d, options);
+  const { bits, fractionBits, angle } = setup;
+  const iterations = bits + 2;
+  const { angles, inverseGain } = cordicTable(fractionBits, iterations);
+
+  let x = inverseGain;
+  let y = 0n;
+  let z = angle;
+
+  for (let i = 0; i < iterations; i++) {
+    const shift = BigInt(i);
+    const dx = y >> shift;
+    const dy = x >> shift;
+
+    if (z >= 0n) {
+      x -= dx;
+      y += dy;
+      z -= angles[i];
+    } else {
+      x += dx;
+      y -= dy;
+      z += angles[i];
+    }
+  }
+
+  return fixedPointResult(x, y, setup, {
+    iterations,
+    multiplications: 0,
+    divisions: 0,
+    totalIterations: iterations
+  });
+}
+
+
+function limitValue({ finalConvergents, mathLimitIndex }) {
+  return finalConvergents[mathLimitIndex >= 0 ? mathLimitIndex : finalConvergents.length - 1];
+}
+
+
+// Every method takes an exact rational angle and a precision in bits and returns the value of
+// e^{iθ} with its iteration counters. `totalIterations` is what each method calls an iteration:
+// convergents plus squarings for the CSCF, terms for the series, rotations for CORDIC. The
+// convergent cache is bypassed so that every angle pays for its own base convergent.
+export const BENCHMARK_METHODS = {
+  cscf: {
+    label: 'CSCF, forward recurrence',
+    run: (angle, bits) => {
+      const { value, iterationMetrics } = expRecurrence(toFloating(angle), { bits, cache: false }, angle);
+      return { value, iterationMetrics };
+    }
+  },
+  binarySplitting: {
+    label: 'CSCF, binary splitting',
+    run: (angle, bits) => {
+      const { value, iterationMetrics } = expBinarySplitting(toFloating(angle), { bits, cache: false }, angle);
+      return { value, iterationMetrics };
+    }
+  },
+  lambert: {
+    label: "Lambert's tan CF (reduced)",
+    run: (angle, bits) => {
+      const result = lambertWithConvergents(toFloating(angle), { bits, reduce: true }, angle);
+      return { value: limitValue(result), iterationMetrics: result.iterationMetrics };
+    }
+  },
+  taylor: {
+    label: 'Taylor series (reduced)',
+    run: (angle, bits) => taylorBaseline(angle, { bits })
+  },
+  cordic: {
+    label: 'CORDIC (reduced)',
+    run: (angle, bits) => cordicBaseline(angle, { bits })
+  }
+};
+
+
+// Runs each method on each angle at the same precision and measures it against trigReference.
+// Returns one row per method with the summed iterations, the BigInt multiplications counted by
+// the operation profile, the wall-clock time and the fewest correct bits seen,
+// -log2 |w - e^{iθ}|, over the angle set. Profiling slows the arithmetic down, so the
+// multiplications are counted in a second, untimed run.
+export function benchmarkMethods(angles, { bits = 53, methods = Object.keys(BENCHMARK_METHODS) } = {}) {
+  const references = angles.map(angle => trigReference(angle, { bits: bits + BENCHMARK_REFERENCE_BITS }));
+
+  return methods.map(name => {
+    const method = BENCHMARK_METHODS[name];
+    if (!method) {
+      throw new RangeError(`Unknown benchmark method: ${name}`);
+    }
+
+    const row = {
+      method: name,
+      label: method.label,
+      angles: angles.length,
+      totalIterations: 0,
+      multiplications: 0,
+      ms: 0,
+      minCorrectBits: Infinity
+    };
+
+    angles.forEach((angle, i) => {
+      const start = performance.now();
+      const { value, iterationMetrics } = method.run(angle, bits);
+      row.ms += performance.now() - start;
+
+      const profile = {};
+      profileOperations(profile, 'run', () => method.run(angle, bits));
+      row.multiplications += profile.run?.multiplications ?? 0;
+      row.totalIterations += iterationMetrics.totalIterations;
+
+      const error = value.subtract(references[i].value).magnitudeUpperBound();
+      const correctBits = error.n === 0n ? bits + BENCHMARK_REFERENCE_BITS : bitLength(error.d) - bitLength(error.n);
+      row.minCorrectBits = Math.min(row.minCorrectBits, correctBits);
+    });
+
+    return row;
+  });
+}
@@ -4,11 +4,16 @@ import {
   multiplyRational, 
   divideRational,
   toFloating,
+  toDecimal,
   fromFloating,
   normalizeRational,
   approxFrac,
   isZero,
   bigIntSqrt,
+  sqrtUpperRational,
+  sqrtLowerRational,
+  recordMultiply,
+  exactRootRational,
   MAX_DEN
 } from './RationalBigInt.js';
 
@@ -98,13 +103,25 @@ class Complex {
     return addRational(reSq, imSq);
   }
 
+  magnitudeUpperBound() {
+    return sqrtUpperRational(this.magnitudeSquaredRational());
+  }
+
+  magnitudeLowerBound() {
+    return sqrtLowerRational(this.magnitudeSquaredRational());
+  }
+
   magnitude() {
     const re = toFloating(this.re);
     const im = toFloating(this.im);
     return Math.hypot(re, im);
   }
 
-  normalize() {
+  // Unit vector in the direction of this number. Through doubles by default; given maxDen, exact
+  // up to the re-approximation of normalizeComplex.
+  normalize(maxDen = null) {
+    if (maxDen !== null) return Complex.normalizeComplex(this, maxDen);
+
     const mag = this.magnitude();
     if (mag === 0) return Complex.ZERO;
     const re = toFloating(this.re) / mag;
@@ -116,10 +133,57 @@ class Complex {
     return new Complex(reRational.n, reRational.d, imRational.n, imRational.d);
   }
 
+  roundToGaussian() {
+    const nearest = ({ n, d }) => {
+      const num = 2n * n + d;
+      const den = 2n * d;
+      const q = num / den;
+      return num % den !== 0n && num < 0n ? q - 1n : q;
+    };
+    return new Complex(nearest(this.re), 1n, nearest(this.im), 1n);
+  }
+
   conjugate() {
     return new Complex(this.re.n, this.re.d, -this.im.n, this.im.d);
   }
 
+  isZero() {
+    return isZero(this.re) && isZero(this.im);
+  }
+
+  // Exact integer power by square-and-multiply, with no normalization; a negative exponent
+  // inverts first. Rational exponents are z.principalPower, installed by Polar.js.
+  pow(exponent) {
+    if (typeof exponent === 'number' && Number.isInteger(exponent)) exponent = BigInt(exponent);
+    if (typeof exponent !== 'bigint') {
+      throw new TypeError('Exponent must be an integer');
+    }
+
+    if (exponent < 0n) return Complex.ONE.divide(this).pow(-exponent);
+
+    let result = Complex.ONE;
+    let base = new Complex(this.re.n, this.re.d, this.im.n, this.im.d);
+    for (let e = exponent; e > 0n; e >>= 1n) {
+      if (e & 1n) result = result.multiply(base);
+      if (e > 1n) base = base.multiply(base);
+    }
+    return result;
+  }
+
+  // sqrt(a + bi) = x + iy with x = sqrt((|z| + a)/2) and y = ±sqrt((|z| - a)/2), exact when
+  // |z| and both radicands are rational squares. Otherwise null; z.sqrt from Polar.js approximates.
+  exactSqrt() {
+    const half = { n: 1n, d: 2n };
+    const modulus = exactRootRational(this.magnitudeSquaredRational(), 2n);
+    if (!modulus) return null;
+
+    const x = exactRootRational(multiplyRational(addRational(modulus, this.re), half), 2n);
+    const y = exactRootRational(multiplyRational(subtractRational(modulus, this.re), half), 2n);
+    if (!x || !y) return null;
+
+    return new Complex(x.n, x.d, this.im.n < 0n ? -y.n : y.n, y.d);
+  }
+
   toString(precision = 17) {
     const re = toFloating(this.re);
     const im = toFloating(this.im);
@@ -127,7 +191,16 @@ class Complex {
     return `${re.toFixed(precision)} ${sign} ${Math.abs(im).toFixed(precision)}i`;
   }
 
-  static normalizeComplex(z) {
+  toDecimalString(digits = 17) {
+    const re = toDecimal(this.re, digits);
+    const im = toDecimal({ n: this.im.n < 0n ? -this.im.n : this.im.n, d: this.im.d }, digits);
+    const sign = this.im.n < 0n ? '-' : '+';
+    return `${re} ${sign} ${im}i`;
+  }
+
+  // Projects z onto the unit circle: the inverse modulus is an integer square root at
+  // maxDen², and each part is then re-approximated with denominators up to maxDen.
+  static normalizeComplex(z, maxDen = MAX_DEN) {
     if (isZero(z.re) && isZero(z.im)) return Complex.ZERO;
 
     const xSq = multiplyRational(z.re, z.re);
@@ -136,19 +209,27 @@ class Complex {
     
     if (magSq.n === 0n) return Complex.ZERO;
 
-    const precisionScale = 10n ** 60n;
+    const precisionScale = maxDen * maxDen;
     const precisionScaleSq = precisionScale * precisionScale;
     
     const S2 = (magSq.d * precisionScaleSq) / magSq.n;
     const S = bigIntSqrt(S2);
     
+    recordMultiply(magSq.d, precisionScaleSq, z.re.n, S, z.re.d, precisionScale, z.im.n, S, z.im.d, precisionScale);
     const newReN = z.re.n * S;
     const newReD = z.re.d * precisionScale;
     const newImN = z.im.n * S;
     const newImD = z.im.d * precisionScale;
 
-    const reApprox = approxFrac(newReN, newReD, MAX_DEN);
-    const imApprox = approxFrac(newImN, newImD, MAX_DEN);
+    const reApprox = approxFrac(newReN, newReD, maxDen);
+    const imApprox = approxFrac(newImN, newImD, maxDen);
+
+    return new Complex(reApprox.n, reApprox.d, imApprox.n, imApprox.d);
+  }
+
+  static roundComplex(z, maxDen = MAX_DEN) {
+    const reApprox = approxFrac(z.re.n, z.re.d, maxDen);
+    const imApprox = approxFrac(z.im.n, z.im.d, maxDen);
 
     return new Complex(reApprox.n, reApprox.d, imApprox.n, imApprox.d);
   }
@@ -0,0 +1,99 @@
+import Complex from './Complex.js';
+import { recordMultiply } from './RationalBigInt.js';
+
+// Exact a + bi with BigInt parts. Unlike Complex nothing is normalized, so add and
+// multiply cost only the BigInt operations themselves.
+class GaussianInteger {
+  constructor(re = 0n, im = 0n) {
+    if (typeof re === 'number') re = BigInt(re);
+    if (typeof im === 'number') im = BigInt(im);
+
+    this.re = re;
+    this.im = im;
+  }
+
+  static fromComplex(c) {
+    if (c.re.d !== 1n || c.im.d !== 1n) {
+      throw new RangeError('Complex value is not a Gaussian integer.');
+    }
+    return new GaussianInteger(c.re.n, c.im.n);
+  }
+
+  add(g) {
+    return new GaussianInteger(this.re + g.re, this.im + g.im);
+  }
+
+  subtract(g) {
+    return new GaussianInteger(this.re - g.re, this.im - g.im);
+  }
+
+  multiply(g) {
+    recordMultiply(this.re, g.re, this.im, g.im, this.re, g.im, this.im, g.re);
+    return new GaussianInteger(this.re * g.re - this.im * g.im, this.re * g.im + this.im * g.re);
+  }
+
+  // this * g + h * k, the shape of every convergent and matrix entry update.
+  multiplyAdd(g, h, k) {
+    recordMultiply(this.re, g.re, this.im, g.im, h.re, k.re, h.im, k.im, this.re, g.im, this.im, g.re, h.re, k.im, h.im, k.re);
+    return new GaussianInteger(
+      this.re * g.re - this.im * g.im + h.re * k.re - h.im * k.im,
+      this.re * g.im + this.im * g.re + h.re * k.im + h.im * k.re
+    );
+  }
+
+  negate() {
+    return new GaussianInteger(-this.re, -this.im);
+  }
+
+  conjugate() {
+    return new GaussianInteger(this.re, -this.im);
+  }
+
+  norm() {
+    recordMultiply(this.re, this.re, this.im, this.im);
+    return this.re * this.re + this.im * this.im;
+  }
+
+  isZero() {
+    return this.re === 0n && this.im === 0n;
+  }
+
+  equals(g) {
+    return this.re === g.re && this.im === g.im;
+  }
+
+  // The exact quotient this / g as a Complex; the only step that reduces by a gcd.
+  divide(g) {
+    const norm = g.norm();
+
+    if (norm === 0n) {
+      throw new Error('Division by zero');
+    }
+
+    const { re, im } = this.multiply(g.conjugate());
+    return new Complex(re, norm, im, norm);
+  }
+
+  toComplex() {
+    return new Complex(this.re, 1n, this.im, 1n);
+  }
+
+  toString() {
+    const sign = this.im < 0n ? '-' : '+';
+    return `${this.re} ${sign} ${this.im < 0n ? -this.im : this.im}i`;
+  }
+
+  static get ONE() {
+    return new GaussianInteger(1n, 0n);
+  }
+
+  static get ZERO() {
+    return new GaussianInteger(0n, 0n);
+  }
+
+  static get I() {
+    return new GaussianInteger(0n, 1n);
+  }
+}
+
+export default GaussianInteger;
@@ -0,0 +1,60 @@
+// Least-recently-used map with hit/miss counters. Map iteration follows insertion order, so
+// re-inserting on every hit keeps the least recently used key first.
+class LRUCache {
+  constructor(capacity) {
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.resize(capacity);
+  }
+
+  // Returns the value for key, creating it with create() on a miss.
+  getOrCreate(key, create) {
+    if (this.entries.has(key)) {
+      const value = this.entries.get(key);
+      this.entries.delete(key);
+      this.entries.set(key, value);
+      this.hits++;
+      return value;
+    }
+
+    this.misses++;
+    const value = create();
+    if (this.capacity > 0) {
+      this.entries.set(key, value);
+      this.evict();
+    }
+    return value;
+  }
+
+  resize(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      throw new RangeError('Cache capacity must be a non-negative integer.');
+    }
+
+    this.capacity = capacity;
+    this.evict();
+  }
+
+  evict() {
+    while (this.entries.size > this.capacity) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  stats() {
+    return { hits: this.hits, misses: this.misses, size: this.entries.size, capacity: this.capacity };
+  }
+}
+
+export default LRUCache;
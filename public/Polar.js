@@ -0,0 +1,269 @@
+import Complex from './Complex.js';
+import { expBinarySplitting, trigReference, resolvePrecision } from './Trig.js';
+import {
+  addRational,
+  subtractRational,
+  multiplyRational,
+  divideRational,
+  normalizeRational,
+  toFloating,
+  fromFloating,
+  isZero,
+  bitLength,
+  bigIntNthRoot,
+  exactRootRational,
+  sqrtUpperRational,
+  approxWithin,
+  compareRational,
+  piRational
+} from './RationalBigInt.js';
+
+// Polar form, principal powers and roots of Gaussian rationals. Complex keeps to exact
+// arithmetic (integer powers, exact square roots); everything that needs an angle, e^{iθ} or a
+// target precision lives here, on top of Complex and Trig. Results are exact where they can
+// be and otherwise within 2^-bits of { bits | digits }.
+
+const ROOT_GUARD_BITS = 8;
+const POLAR_RETRY_BITS = 16;
+const HALF = { n: 1n, d: 2n };
+
+function toRationalInput(x, name) {
+  if (typeof x === 'bigint') return { n: x, d: 1n };
+  if (typeof x === 'number') return Number.isInteger(x) ? { n: BigInt(x), d: 1n } : fromFloating(x);
+  if (x && x.n !== undefined && x.d !== undefined) {
+    return normalizeRational({ n: BigInt(x.n), d: BigInt(x.d) });
+  }
+  throw new TypeError(`${name} must be a rational { n, d }, a BigInt or a number`);
+}
+
+
+function toleranceBits(bits) {
+  return { n: 1n, d: 1n << BigInt(bits) };
+}
+
+
+// floor(x · 2^F)^{1/k} / 2^F, which is within 2^-F below x^{1/k}.
+function rootLower({ n, d }, k, fractionBits) {
+  const shift = BigInt(fractionBits);
+  return normalizeRational({ n: bigIntNthRoot((n << k * shift) / d, k), d: 1n << shift });
+}
+
+
+function absRational({ n, d }) {
+  return { n: n < 0n ? -n : n, d };
+}
+
+
+// An upper bound on log2 |x|, at least 0.
+function magnitudeBits({ n, d }) {
+  return Math.max(0, bitLength(n) - bitLength(d) + 1);
+}
+
+
+// The principal k-th root when it is a Gaussian rational that is easy to find: any square
+// root, and the real root of a positive rational. Otherwise null.
+function exactPrincipalRoot(z, k) {
+  if (k === 2n) return z.exactSqrt();
+  if (!isZero(z.im) || z.re.n < 0n) return null;
+
+  const root = exactRootRational(z.re, k);
+  return root && new Complex(root.n, root.d);
+}
+
+
+// Principal argument of z as a rational within 2^-bits; exactly 0 on the positive real axis.
+// Starting from Math.atan2, each step rotates z back by the exact reference e^{-iθ} and adds
+// Im v / Re v = tan(arg v) to θ, which triples the correct bits.
+export function arg(z, options = {}) {
+  if (z.isZero()) {
+    throw new RangeError('The argument of zero is undefined.');
+  }
+  if (isZero(z.im) && z.re.n > 0n) return { n: 0n, d: 1n };
+
+  const { bits } = resolvePrecision(options);
+  const referenceBits = bits + ROOT_GUARD_BITS;
+  const target = toleranceBits(bits);
+  const modulus = z.magnitudeUpperBound();
+
+  // Both parts are scaled by the larger one first, so that neither double overflows.
+  const [re, im] = [absRational(z.re), absRational(z.im)];
+  const scale = compareRational(re, im) >= 0 ? re : im;
+  let theta = fromFloating(Math.atan2(
+    toFloating(divideRational(z.im, scale)),
+    toFloating(divideRational(z.re, scale))
+  ));
+
+  for (;;) {
+    const reference = trigReference(theta, { bits: referenceBits });
+    const v = z.multiply(reference.value.conjugate());
+
+    // v is within |z| ε of z e^{-iθ}, and while Re v > 0, |arg v| <= |Im v| / Re v.
+    const slack = multiplyRational(modulus, reference.error);
+    const real = subtractRational(v.re, slack);
+    if (real.n > 0n) {
+      const bound = divideRational(addRational(absRational(v.im), slack), real);
+      if (compareRational(bound, target) <= 0) return theta;
+    }
+
+    theta = approxWithin(addRational(theta, divideRational(v.im, v.re)), toleranceBits(referenceBits));
+  }
+}
+
+
+// Principal square root, exact when z is the square of a Gaussian rational. Newton's iteration
+// w <- (w + z/w)/2 runs on the half plane Re z >= 0, where the root lies within 45° of the real
+// axis; a left-half-plane z is rotated to -z and the root turned back by ±i.
+export function sqrt(z, options = {}) {
+  const exact = z.exactSqrt();
+  if (exact) return exact;
+
+  if (z.re.n < 0n) {
+    const root = sqrt(new Complex(-z.re.n, z.re.d, -z.im.n, z.im.d), options);
+    return root.multiply(z.im.n < 0n ? new Complex(0n, 1n, -1n, 1n) : Complex.I);
+  }
+
+  const { bits } = resolvePrecision(options);
+  const magnitudeSquared = z.magnitudeSquaredRational();
+  const target = toleranceBits(bits);
+  // Rounding is absolute, so a small root needs as many more bits as |w| has leading zeros.
+  const leadingZeros = bitLength(magnitudeSquared.d) - bitLength(magnitudeSquared.n) + 1;
+  const smallness = Math.max(0, Math.ceil(leadingZeros / 4));
+  const tolerance = toleranceBits(bits + ROOT_GUARD_BITS + smallness);
+
+  // Start from 64-bit roots of the closed form, x0 = sqrt((|z| + a)/2) and y0 = b/(2 x0).
+  const modulus = sqrtUpperRational(magnitudeSquared);
+  const x0 = sqrtUpperRational(multiplyRational(addRational(modulus, z.re), HALF));
+  const y0 = divideRational(z.im, multiplyRational(x0, { n: 2n, d: 1n }));
+  let w = new Complex(x0.n, x0.d, y0.n, y0.d);
+
+  // With Re w > 0 and Re sqrt(z) >= 0, |w - sqrt(z)| = |w² - z| / |w + sqrt(z)| <= |w² - z| / Re w.
+  const certified = w => w.re.n > 0n &&
+    compareRational(divideRational(w.multiply(w).subtract(z).magnitudeUpperBound(), w.re), target) <= 0;
+
+  while (!certified(w)) {
+    const next = w.add(z.divide(w));
+    const re = approxWithin(multiplyRational(next.re, HALF), tolerance);
+    const im = approxWithin(multiplyRational(next.im, HALF), tolerance);
+    w = new Complex(re.n, re.d, im.n, im.d);
+  }
+
+  return w;
+}
+
+
+// Principal power exp((p/q) Log z) for a rational exponent p/q. Integer exponents are exact
+// (Complex.pow), and so is the power when the principal q-th root is.
+export function principalPower(z, exponent, options = {}) {
+  const { n: p, d: q } = toRationalInput(exponent, 'Exponent');
+
+  if (p < 0n) {
+    return principalPower(Complex.ONE.divide(z), { n: -p, d: q }, options);
+  }
+  if (q === 1n) return z.pow(p);
+  if (z.isZero()) return Complex.ZERO;
+
+  const root = exactPrincipalRoot(z, q);
+  if (root) return root.pow(p);
+
+  // |m̃ e^{iφ̃} - m e^{iφ}| <= |m̃ - m| + m |φ̃ - φ|. The modulus and fromPolar are each kept
+  // within 2^-(bits+2), and the angle, which carries arg's error times p/q, within
+  // 2^-(bits+1) / m.
+  const { bits } = resolvePrecision(options);
+  const modulus = rootLower(z.magnitudeSquaredRational(), 2n * q, bits + 2);
+  const modulusBits = magnitudeBits(modulus);
+  const angleBits = bits + 2 + modulusBits;
+  const argument = arg(z, { bits: angleBits + bitLength(p) });
+  const angle = approxWithin(multiplyRational(argument, { n: p, d: q }), toleranceBits(angleBits));
+
+  return fromPolar(modulus, angle, { bits: bits + 2 });
+}
+
+
+// The n n-th roots of z, counterclockwise from the principal root: the principal root times
+// the n-th roots of unity.
+export function nthRoots(z, n, options = {}) {
+  if (!Number.isInteger(n) || n <= 0) {
+    throw new RangeError('Root index must be a positive integer.');
+  }
+  if (z.isZero()) return Array.from({ length: n }, () => Complex.ZERO);
+
+  // |w̃ζ̃ - wζ| <= |w̃ - w| + |w̃| |ζ̃ - ζ|, with each term kept below 2^-(bits+1).
+  const { bits } = resolvePrecision(options);
+  const principal = principalPower(z, { n: 1n, d: BigInt(n) }, { bits: bits + 1 });
+  const unitBits = bits + 1 + magnitudeBits(principal.magnitudeUpperBound());
+
+  return rootsOfUnity(n, { bits: unitBits }).map(root => principal.multiply(root));
+}
+
+
+// r e^{iθ} for rationals r and θ (or BigInts and numbers). e^{iθ} is evaluated by binary
+// splitting of the CSCF with argument reduction and the fixed-point power, at log2 |r| more
+// bits, and retried at a higher precision in the rare case its certified bound misses the
+// target.
+export function fromPolar(r, angle, options = {}) {
+  const modulus = toRationalInput(r, 'Modulus');
+  const theta = toRationalInput(angle, 'Angle');
+  const { bits } = resolvePrecision(options);
+
+  if (modulus.n === 0n) return Complex.ZERO;
+  if (theta.n === 0n) return new Complex(modulus.n, modulus.d);
+
+  const unitBits = bits + magnitudeBits(modulus);
+  const target = toleranceBits(unitBits);
+  for (let workingBits = unitBits; ; workingBits += POLAR_RETRY_BITS) {
+    const settings = { bits: workingBits, certify: true, reduce: true, backend: 'fixed' };
+    const { value, error } = expBinarySplitting(toFloating(theta), settings, theta);
+    if (compareRational(error, target) <= 0) {
+      return value.multiply(new Complex(modulus.n, modulus.d));
+    }
+  }
+}
+
+
+// e^{2πik/n} for k = 0..n-1. The quarter turns are exact, the upper half plane is computed
+// with fromPolar on a rational angle within 2^-(bits+2) of 2πk/n, and the lower half is its
+// conjugate.
+export function rootsOfUnity(n, options = {}) {
+  if (!Number.isInteger(n) || n <= 0) {
+    throw new RangeError('Root index must be a positive integer.');
+  }
+
+  const { bits } = resolvePrecision(options);
+  const pi = piRational(bits + ROOT_GUARD_BITS);
+  const quarterTurns = [Complex.ONE, Complex.I, new Complex(-1n), new Complex(0n, 1n, -1n, 1n)];
+  const roots = [];
+
+  for (let k = 0; k < n; k++) {
+    if ((4 * k) % n === 0) {
+      roots.push(quarterTurns[4 * k / n]);
+    } else if (2 * k > n) {
+      roots.push(roots[n - k].conjugate());
+    } else {
+      const angle = approxWithin(multiplyRational(pi, { n: BigInt(2 * k), d: BigInt(n) }), toleranceBits(bits + 2));
+      roots.push(fromPolar(1n, angle, { bits: bits + 1 }));
+    }
+  }
+
+  return roots;
+}
+
+
+// Complex cannot import this module, which builds on Trig.js and so on Complex itself, so
+// importing Polar.js installs the functions above as z.arg(), z.sqrt(), z.principalPower(p/q),
+// z.nthRoots(n), Complex.fromPolar(r, θ) and Complex.rootsOfUnity(n).
+Object.assign(Complex.prototype, {
+  arg(options) {
+    return arg(this, options);
+  },
+  sqrt(options) {
+    return sqrt(this, options);
+  },
+  principalPower(exponent, options) {
+    return principalPower(this, exponent, options);
+  },
+  nthRoots(n, options) {
+    return nthRoots(this, n, options);
+  }
+});
+
+Object.assign(Complex, { fromPolar, rootsOfUnity });
@@ -15,7 +15,91 @@ export function bigIntSqrt(value) {
   return x;
 }
 
+// Floor of the k-th root of a non-negative BigInt, by Newton's iteration from above.
+export function bigIntNthRoot(value, k) {
+  if (value < 0n) throw new Error('Root of negative number');
+  if (k === 1n || value < 2n) return value;
+
+  let x = 1n << BigInt(Math.ceil(bitLength(value) / Number(k)));
+  let y = ((k - 1n) * x + value / x ** (k - 1n)) / k;
+
+  while (y < x) {
+    x = y;
+    y = ((k - 1n) * x + value / x ** (k - 1n)) / k;
+  }
+  return x;
+}
+
+// The k-th root of a non-negative rational when it is rational, otherwise null.
+export function exactRootRational({ n, d }, k) {
+  const rootN = bigIntNthRoot(n, k);
+  const rootD = bigIntNthRoot(d, k);
+  return rootN ** k === n && rootD ** k === d ? { n: rootN, d: rootD } : null;
+}
+
+export function bitLength(n) {
+  if (n < 0n) n = -n;
+  return n === 0n ? 0 : n.toString(2).length;
+}
+
+// Optional operation counters. While a profile is active, every BigInt multiplication, gcd and
+// approxFrac call made here, in Complex and in GaussianInteger is counted under the current
+// phase, together with the bit lengths of its operands. With no profile active each hook
+// returns after one comparison, but recordMultiply still allocates the rest array of its
+// operands on every call.
+let activeProfile = null;
+let activePhase = null;
+
+function phaseCounters() {
+  activeProfile[activePhase] ??= {
+    multiplications: 0,
+    gcds: 0,
+    approxFracs: 0,
+    maxOperandBits: 0,
+    totalOperandBits: 0
+  };
+  return activeProfile[activePhase];
+}
+
+function recordOperands(counters, operands) {
+  for (const operand of operands) {
+    const bits = bitLength(operand);
+    counters.totalOperandBits += bits;
+    if (bits > counters.maxOperandBits) counters.maxOperandBits = bits;
+  }
+}
+
+// Records one product a * b per pair of operands: recordMultiply(a, b, c, d) is two products.
+export function recordMultiply(...operands) {
+  if (activeProfile === null) return;
+  const counters = phaseCounters();
+  counters.multiplications += operands.length / 2;
+  recordOperands(counters, operands);
+}
+
+function recordCall(kind, operands) {
+  if (activeProfile === null) return;
+  const counters = phaseCounters();
+  counters[kind]++;
+  recordOperands(counters, operands);
+}
+
+// Runs run() with its operations counted into profile (an object of per-phase counters) under
+// phase, restoring the enclosing profile afterwards. A null profile runs it uninstrumented.
+export function profileOperations(profile, phase, run) {
+  if (profile === null) return run();
+
+  const previous = [activeProfile, activePhase];
+  [activeProfile, activePhase] = [profile, phase];
+  try {
+    return run();
+  } finally {
+    [activeProfile, activePhase] = previous;
+  }
+}
+
 export function gcd(a, b) {
+  recordCall('gcds', [a, b]);
   a = a < 0n ? -a : a;
   b = b < 0n ? -b : b;
   
@@ -45,6 +129,7 @@ export function normalizeRational({ n, d }) {
 }
 
 export function approxFrac(num, den, maxDen) {
+  recordCall('approxFracs', [num, den]);
   let a = num;
   let b = den;
   let p0 = 0n, q0 = 1n;
@@ -64,19 +149,117 @@ export function approxFrac(num, den, maxDen) {
   return { n: p1, d: q1 };
 }
 
+export function approxWithin({ n, d }, tolerance) {
+  const negative = n < 0n;
+  const nAbs = negative ? -n : n;
+
+  let a = nAbs;
+  let b = d;
+  let p0 = 0n, q0 = 1n;
+  let p1 = 1n, q1 = 0n;
+
+  while (b !== 0n) {
+    const k = a / b;
+    [p0, q0, p1, q1] = [p1, q1, k * p1 + p0, k * q1 + q0];
+    [a, b] = [b, a % b];
+
+    let diff = nAbs * q1 - p1 * d;
+    if (diff < 0n) diff = -diff;
+    if (diff * tolerance.d <= tolerance.n * d * q1) break;
+  }
+
+  return normalizeRational({ n: negative ? -p1 : p1, d: q1 });
+}
+
+export const BOUND_BITS = 64;
+
+function floorDiv(a, b) {
+  const q = a / b;
+  return a % b !== 0n && a < 0n ? q - 1n : q;
+}
+
+function roundToDyadic({ n, d }, bits, up) {
+  if (n === 0n) return { n: 0n, d: 1n };
+
+  const shift = BigInt(bits - (bitLength(n) - bitLength(d)));
+  const num = shift >= 0n ? n << shift : n;
+  const den = shift >= 0n ? d : d << -shift;
+
+  let m = floorDiv(num, den);
+  if (up && m * den !== num) m += 1n;
+
+  return shift >= 0n
+    ? normalizeRational({ n: m, d: 1n << shift })
+    : { n: m << -shift, d: 1n };
+}
+
+export function roundUpRational(r, bits = BOUND_BITS) {
+  return roundToDyadic(r, bits, true);
+}
+
+export function roundDownRational(r, bits = BOUND_BITS) {
+  return roundToDyadic(r, bits, false);
+}
+
+export function sqrtUpperRational({ n, d }) {
+  const radicand = n * d;
+  let root = bigIntSqrt(radicand);
+  if (root * root < radicand) root += 1n;
+  return roundUpRational({ n: root, d });
+}
+
+export function sqrtLowerRational({ n, d }) {
+  return roundDownRational({ n: bigIntSqrt(n * d), d });
+}
+
+function arctanInverseScaled(x, scale) {
+  const xSq = x * x;
+  let power = scale / x;
+  let sum = power;
+  let k = 1n;
+  let sign = -1n;
+
+  while (power !== 0n) {
+    power /= xSq;
+    sum += sign * (power / (2n * k + 1n));
+    sign = -sign;
+    k++;
+  }
+
+  return sum;
+}
+
+const PI_GUARD_BITS = 32;
+let cachedPi = null;
+
+export function piRational(bits) {
+  if (cachedPi && cachedPi.bits >= bits) {
+    return cachedPi.value;
+  }
+
+  const scale = 1n << BigInt(bits + PI_GUARD_BITS);
+  const n = 16n * arctanInverseScaled(5n, scale) - 4n * arctanInverseScaled(239n, scale);
+
+  cachedPi = { bits, value: normalizeRational({ n, d: scale }) };
+  return cachedPi.value;
+}
+
 export function addRational(a, b) {
+  recordMultiply(a.n, b.d, b.n, a.d, a.d, b.d);
   const n = a.n * b.d + b.n * a.d;
   const d = a.d * b.d;
   return normalizeRational({ n, d });
 }
 
 export function subtractRational(a, b) {
+  recordMultiply(a.n, b.d, b.n, a.d, a.d, b.d);
   const n = a.n * b.d - b.n * a.d;
   const d = a.d * b.d;
   return normalizeRational({ n, d });
 }
 
 export function multiplyRational(a, b) {
+  recordMultiply(a.n, b.n, a.d, b.d);
   const n = a.n * b.n;
   const d = a.d * b.d;
   return normalizeRational({ n, d });
@@ -86,6 +269,7 @@ export function divideRational(a, b) {
   if (b.n === 0n) {
     throw new Error('Division by zero');
   }
+  recordMultiply(a.n, b.d, a.d, b.n);
   const n = a.n * b.d;
   const d = a.d * b.n;
   return normalizeRational({ n, d });
@@ -108,6 +292,67 @@ export function toFloating({ n, d }) {
   return Number(n) / Number(d);
 }
 
+export function toDecimal({ n, d }, digits = 17) {
+  if (!Number.isInteger(digits) || digits < 0) {
+    throw new RangeError('Digits must be a non-negative integer');
+  }
+
+  const negative = n < 0n;
+  const nAbs = negative ? -n : n;
+  const scaled = nAbs * 10n ** BigInt(digits);
+
+  let rounded = scaled / d;
+  if (2n * (scaled % d) >= d) rounded += 1n;
+
+  const sign = negative && rounded !== 0n ? '-' : '';
+  const str = rounded.toString().padStart(digits + 1, '0');
+  const intPart = str.slice(0, str.length - digits);
+  const fracPart = str.slice(str.length - digits);
+
+  return digits > 0 ? `${sign}${intPart}.${fracPart}` : `${sign}${intPart}`;
+}
+
+// Scientific notation in the format of Number.prototype.toExponential, for rationals of any
+// magnitude (toFloating underflows to 0 below about 1e-308).
+export function toExponential({ n, d }, digits = 16) {
+  if (!Number.isInteger(digits) || digits < 0) {
+    throw new RangeError('Digits must be a non-negative integer');
+  }
+
+  if (n === 0n) return (0).toExponential(digits);
+
+  const negative = n < 0n;
+  const nAbs = negative ? -n : n;
+  const scaled = k => k >= 0 ? [nAbs * 10n ** BigInt(k), d] : [nAbs, d * 10n ** BigInt(-k)];
+
+  let exponent = nAbs.toString().length - d.toString().length;
+  const [lo, hi] = scaled(-exponent);
+  if (lo < hi) exponent--;
+
+  const [num, den] = scaled(digits - exponent);
+  let rounded = num / den;
+  if (2n * (num % den) >= den) rounded += 1n;
+  if (rounded === 10n ** BigInt(digits + 1)) {
+    rounded /= 10n;
+    exponent++;
+  }
+
+  const str = rounded.toString();
+  const mantissa = digits > 0 ? `${str[0]}.${str.slice(1)}` : str;
+  return `${negative ? '-' : ''}${mantissa}e${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+}
+
+// The number of decimal digits an error of |r| leaves correct, floor(-log10 |r|), at least 0;
+// Infinity for r = 0.
+export function decimalPrecision({ n, d }) {
+  if (n === 0n) return Infinity;
+
+  const nAbs = n < 0n ? -n : n;
+  let digits = Math.max(0, Math.floor((bitLength(d) - bitLength(nAbs) - 1) * Math.log10(2)));
+  while (nAbs * 10n ** BigInt(digits + 1) <= d) digits++;
+  return digits;
+}
+
 export function fromFloating(x, maxDen = MAX_DEN) {
   if (!isFinite(x)) {
     throw new Error('Cannot convert non-finite number to rational');
@@ -1,211 +1,2692 @@
 import Complex from './Complex.js';
-import { toRational } from './Utils.js';
-import { multiplyRational } from './RationalBigInt.js';
+import GaussianInteger from './GaussianInteger.js';
+import LRUCache from './LRUCache.js';
+import { toRational, toBigIntRational } from './Utils.js';
+import {
+  addRational,
+  subtractRational,
+  multiplyRational,
+  divideRational,
+  normalizeRational,
+  toFloating,
+  compareRational,
+  roundUpRational,
+  bigIntSqrt,
+  gcd,
+  approxWithin,
+  piRational,
+  bitLength,
+  recordMultiply,
+  profileOperations,
+  MAX_DEN
+} from './RationalBigInt.js';
+
+export const DEFAULT_PRECISION_BITS = 53;
+const PRECISION_GUARD_BITS = 32;
+const PRECISION_TERMS_MARGIN = 64;
+const REDUCTION_GUARD_BITS = 16;
+const INVERSE_GUARD_BITS = 16;
+const ZERO_RATIONAL = { n: 0n, d: 1n };
+const ONE_RATIONAL = { n: 1n, d: 1n };
+
+export function resolvePrecision({ bits, digits } = {}) {
+  let precisionBits = DEFAULT_PRECISION_BITS;
+
+  if (bits !== undefined) {
+    precisionBits = bits;
+  } else if (digits !== undefined) {
+    precisionBits = Math.ceil(digits * Math.log2(10));
+  }
+
+  if (!Number.isInteger(precisionBits) || precisionBits <= 0) {
+    throw new RangeError('Precision must be a positive integer number of bits or digits.');
+  }
+
+  const derivedDen = 2n ** BigInt(precisionBits + PRECISION_GUARD_BITS);
+  const maxDen = derivedDen > MAX_DEN ? derivedDen : MAX_DEN;
+
+  return { bits: precisionBits, maxDen };
+}
 
 export function generateCoefficients(n, k) {
-  if (n === 1) {
-    const hardcodedCoeffs = [
-      new Complex(1n, 1n, 1n, 1n),
-      new Complex(-2n, 1n, 1n, 1n),
-      new Complex(1n, 1n, 3n, 1n),
-      new Complex(-2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, -5n, 1n),
-      new Complex(2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, 7n, 1n),
-      new Complex(-2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, -9n, 1n),
-      new Complex(2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, 11n, 1n),
-      new Complex(-2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, -13n, 1n),
-      new Complex(2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, 15n, 1n),
-      new Complex(-2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, -17n, 1n),
-      new Complex(2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, 19n, 1n),
-      new Complex(-2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, -21n, 1n),
-      new Complex(2n, 1n, 0n, 1n),
-      new Complex(0n, 1n, 23n, 1n),
-      new Complex(-2n, 1n, 0n, 1n),
-    ];
-    return hardcodedCoeffs.slice(0, k);
+  const nBig = BigInt(n);
+
+  if (nBig <= 0n) {
+    throw new RangeError('Denominator must be a positive integer.');
+  }
+
+  if (nBig === 1n) {
+    const coefficients = [];
+
+    for (let c = 0; c < k; c++) {
+      coefficients.push(acceleratedUnitCoefficient(c));
+    }
+
+    return coefficients;
   }
   
   const coefficients = [];
-  const nBig = BigInt(n);
   
   for (let c = 0; c < k; c++) {
-    const cBig = BigInt(c);
-    
-    if (c === 0) {
-      coefficients.push(new Complex(1n, 1n, 0n, 1n));
-    } else if (c % 2 !== 0) {
-      const power = (c + 1) / 2;
-      const sign = (power % 2 === 0) ? 1n : -1n;
-      const imagValue = sign * cBig * nBig;
-      coefficients.push(new Complex(0n, 1n, imagValue, 1n));
-    } else {
-      const power = c / 2;
-      const sign = (power % 2 === 0) ? 1n : -1n;
-      const realValue = 2n * sign;
-      coefficients.push(new Complex(realValue, 1n, 0n, 1n));
-    }
+    coefficients.push(patternCoefficient(nBig, c));
   }
   
   return coefficients;
 }
 
 
-export function computeAllConvergents(coefficients, numerator = 1n) {
-  const convergents = [];
-  let mathLimitIndex = -1;
+function patternCoefficient(nBig, c) {
+  if (c === 0) {
+    return new Complex(1n, 1n, 0n, 1n);
+  }
+
+  if (c % 2 !== 0) {
+    const power = (c + 1) / 2;
+    const sign = (power % 2 === 0) ? 1n : -1n;
+    const imagValue = sign * BigInt(c) * nBig;
+    return new Complex(0n, 1n, imagValue, 1n);
+  }
+
+  const power = c / 2;
+  const sign = (power % 2 === 0) ? 1n : -1n;
+  const realValue = 2n * sign;
+  return new Complex(realValue, 1n, 0n, 1n);
+}
+
+
+function acceleratedUnitCoefficient(c) {
+  if (c === 0) return new Complex(1n, 1n, 1n, 1n);
+  if (c === 1) return new Complex(-2n, 1n, 1n, 1n);
+  if (c === 2) return new Complex(1n, 1n, 3n, 1n);
+
+  if (c % 2 !== 0) {
+    const realValue = c % 4 === 3 ? -2n : 2n;
+    return new Complex(realValue, 1n, 0n, 1n);
+  }
+
+  const sign = c % 4 === 0 ? -1n : 1n;
+  const imagValue = sign * BigInt(c + 1);
+  return new Complex(0n, 1n, imagValue, 1n);
+}
+
+
+export function* cscfCoefficients(n) {
+  const nBig = BigInt(n);
+
+  if (nBig <= 0n) {
+    throw new RangeError('Denominator must be a positive integer.');
+  }
+
+  if (nBig === 1n) {
+    for (let c = 0; ; c++) {
+      yield acceleratedUnitCoefficient(c);
+    }
+  }
+
+  for (let c = 0; ; c++) {
+    yield patternCoefficient(nBig, c);
+  }
+}
+
+
+function floorRational({ n, d }) {
+  const q = n / d;
+  return n % d !== 0n && n < 0n ? q - 1n : q;
+}
+
+
+// Nearest integer to c; when c lies within tieTolerance of a half-integer the tie rule
+// decides ('up', 'down' or 'zero'), so exact ties of the true value are not left to the
+// rounding noise of an approximation.
+function nearestInteger(c, tieTolerance, rule) {
+  const floor = floorRational(c);
+  const offset = subtractRational(subtractRational(c, { n: floor, d: 1n }), HALF_RATIONAL);
+  const absOffset = offset.n < 0n ? { n: -offset.n, d: offset.d } : offset;
+
+  if (compareRational(absOffset, tieTolerance) <= 0) {
+    if (rule === 'up') return floor + 1n;
+    if (rule === 'down') return floor;
+    return floor >= 0n ? floor : floor + 1n;
+  }
+
+  return offset.n < 0n ? floor : floor + 1n;
+}
+
+
+function nearestGaussian(rule) {
+  return (x, tieTolerance = ZERO_RATIONAL) => new Complex(
+    nearestInteger(x.re, tieTolerance, rule), 1n,
+    nearestInteger(x.im, tieTolerance, rule), 1n
+  );
+}
+
+
+// J. Hurwitz's expansion: a_0 is the nearest Gaussian integer and every later quotient the
+// nearest point of (1 + i)Z[i], found as (1 + i) times the nearest Gaussian integer to
+// x(1 - i)/2. Remainders then lie in the diamond |Re| + |Im| <= 1 instead of the square.
+function nearestEvenGaussian(rule) {
+  const nearest = nearestGaussian(rule);
+  const halfConjugate = new Complex(1n, 2n, -1n, 2n);
+  const onePlusI = new Complex(1n, 1n, 1n, 1n);
+
+  return (x, tieTolerance = ZERO_RATIONAL, index = 1) => index === 0
+    ? nearest(x, tieTolerance)
+    : nearest(x.multiply(halfConjugate), tieTolerance).multiply(onePlusI);
+}
+
+
+export const CF_ALGORITHMS = {
+  pattern: { label: 'CSCF pattern', round: null },
+  hurwitz: { label: 'Hurwitz (nearest, ties up)', round: nearestGaussian('up') },
+  nearestTiesDown: { label: 'Nearest integer (ties down)', round: nearestGaussian('down') },
+  nearestTiesToZero: { label: 'Nearest integer (ties toward zero)', round: nearestGaussian('zero') },
+  jHurwitz: { label: 'J. Hurwitz ((1+i)Z[i] quotients)', round: nearestEvenGaussian('up') }
+};
+
+
+export function* expansionCoefficients(z, round = CF_ALGORITHMS.hurwitz.round, tieTolerance = ZERO_RATIONAL) {
+  let x = z;
+
+  for (let index = 0; ; index++) {
+    const a = round(x, tieTolerance, index);
+    yield a;
+
+    const remainder = x.subtract(a);
+    if (remainder.re.n === 0n && remainder.im.n === 0n) return;
+    x = Complex.ONE.divide(remainder);
+  }
+}
+
+
+export function hurwitzCoefficients(z) {
+  return expansionCoefficients(z, CF_ALGORITHMS.hurwitz.round);
+}
+
+
+// Expands z with nearest-Gaussian-integer rounding. An exact rational terminates; for a
+// rational approximation of some other value, pass its accuracy as tolerance so the
+// expansion stops at the first convergent within it.
+export function hurwitzExpansion(z, { maxTerms = Infinity, tolerance = null, bits = DEFAULT_PRECISION_BITS } = {}) {
+  const coefficients = [];
+  let terminated = false;
+
+  let pPrev = Complex.ZERO, p = Complex.ONE;
+  let qPrev = Complex.ONE, q = Complex.ZERO;
+  const source = hurwitzCoefficients(z);
+
+  while (coefficients.length < maxTerms) {
+    const { value: a, done } = source.next();
+    if (done) {
+      terminated = true;
+      break;
+    }
+
+    coefficients.push(a);
+    [pPrev, p] = [p, a.multiply(p).add(pPrev)];
+    [qPrev, q] = [q, a.multiply(q).add(qPrev)];
+
+    if (tolerance) {
+      const distanceSq = z.subtract(p.divide(q)).magnitudeSquaredRational();
+      if (compareRational(distanceSq, multiplyRational(tolerance, tolerance)) <= 0) break;
+    }
+  }
+
+  const { convergents, mathLimitIndex } = computeAllConvergents(coefficients, 1n, { bits });
+  return { coefficients, convergents, mathLimitIndex, terminated };
+}
+
+
+const VERIFY_GUARD_BITS = 64;
+const VERIFY_MAX_RETRIES = 3;
+const HALF_RATIONAL = { n: 1n, d: 2n };
+
+
+// Integers m with |c - m| <= 1/2 + delta: the nearest integer, plus its neighbour when c
+// lies within delta of a rounding tie.
+function nearestIntegerCandidates(c, delta) {
+  const nearest = new Complex(c.n, c.d).roundToGaussian().re.n;
+  const limit = addRational(HALF_RATIONAL, delta);
+
+  return [nearest - 1n, nearest, nearest + 1n].filter(m => {
+    const distance = subtractRational(c, { n: m, d: 1n });
+    const absDistance = distance.n < 0n ? { n: -distance.n, d: distance.d } : distance;
+    return compareRational(absDistance, limit) <= 0;
+  });
+}
+
+
+function verifyAgainstReference(q, expected, bits) {
+  const reference = expSeriesReference(q, bits, true);
+  const epsilon = reference.error;
+  const ties = [];
+
+  let x = reference.value;
+  let pPrev = Complex.ZERO, p = Complex.ONE;
+  let qPrev = Complex.ONE, qn = Complex.ZERO;
+
+  for (let index = 0; index < expected.length; index++) {
+    // x_n - x_n(true) = (z - R) / ((q_{n-1} z - p_{n-1}) (q_{n-1} R - p_{n-1})) since the determinant is a unit.
+    let delta = epsilon;
+    if (index > 0) {
+      const distance = qn.multiply(reference.value).subtract(p).magnitudeLowerBound();
+      const slack = subtractRational(distance, multiplyRational(qn.magnitudeUpperBound(), epsilon));
+      if (slack.n <= 0n) return { verified: index, ties, mismatch: null, precisionExhausted: true };
+      delta = roundUpRational(divideRational(epsilon, multiplyRational(distance, slack)));
+    }
+
+    if (compareRational(delta, { n: 1n, d: 4n }) >= 0) {
+      return { verified: index, ties, mismatch: null, precisionExhausted: true };
+    }
+
+    const reCandidates = nearestIntegerCandidates(x.re, delta);
+    const imCandidates = nearestIntegerCandidates(x.im, delta);
+    const a = expected[index];
+
+    if (!reCandidates.includes(a.re.n) || !imCandidates.includes(a.im.n) || a.re.d !== 1n || a.im.d !== 1n) {
+      const candidates = reCandidates.flatMap(re => imCandidates.map(im => new Complex(re, 1n, im, 1n)));
+      return { verified: index, ties, mismatch: { index, expected: a, candidates }, precisionExhausted: false };
+    }
+
+    if (reCandidates.length > 1 || imCandidates.length > 1) ties.push(index);
+
+    [pPrev, p] = [p, a.multiply(p).add(pPrev)];
+    [qPrev, qn] = [qn, a.multiply(qn).add(qPrev)];
+
+    const remainder = x.subtract(a);
+    if (remainder.re.n === 0n && remainder.im.n === 0n) break;
+    x = Complex.ONE.divide(remainder);
+  }
+
+  return { verified: expected.length, ties, mismatch: null, precisionExhausted: false };
+}
+
+
+// Checks that every coefficient of the table is a nearest Gaussian integer of the
+// corresponding complete quotient of an independently computed e^{i/q}. Exact rounding
+// ties (which the pattern produces on every other term) accept either neighbour.
+export function verifyCoefficientPattern(q, terms = 40, { variant = 'table', bits } = {}) {
+  const qBig = BigInt(q);
+
+  if (qBig <= 0n) {
+    throw new RangeError('Denominator must be a positive integer.');
+  }
+
+  const expected = variant === 'pattern'
+    ? Array.from({ length: terms }, (_, c) => patternCoefficient(qBig, c))
+    : generateCoefficients(qBig, terms);
+
+  let referenceBits = bits ?? expected.reduce(
+    (sum, a) => sum + 2 * bitLength((a.re.n < 0n ? -a.re.n : a.re.n) + (a.im.n < 0n ? -a.im.n : a.im.n) + 1n),
+    VERIFY_GUARD_BITS
+  );
+
+  let result = verifyAgainstReference(qBig, expected, referenceBits);
+  for (let retry = 0; retry < VERIFY_MAX_RETRIES && result.precisionExhausted && bits === undefined; retry++) {
+    referenceBits *= 2;
+    result = verifyAgainstReference(qBig, expected, referenceBits);
+  }
+
+  return {
+    q: qBig,
+    variant: qBig === 1n && variant === 'table' ? 'accelerated' : variant,
+    terms,
+    bits: referenceBits,
+    ...result
+  };
+}
+
+
+// Verifies the tables generateCoefficients uses for q = from..to, with firstMismatch the
+// first of them that is not a nearest-integer expansion. The q = 1 acceleration is reported
+// apart, whatever the range: { accelerated, pattern } checks the table used for q = 1
+// against the general pattern it replaces, which is not a nearest-integer expansion there.
+export function verifyCoefficientPatterns({ from = 1, to = 12, terms = 40, bits } = {}) {
+  const acceleration = {
+    accelerated: verifyCoefficientPattern(1n, terms, { bits }),
+    pattern: verifyCoefficientPattern(1n, terms, { variant: 'pattern', bits })
+  };
+  const results = [];
+
+  for (let q = BigInt(from); q <= BigInt(to); q++) {
+    results.push(q === 1n ? acceleration.accelerated : verifyCoefficientPattern(q, terms, { bits }));
+  }
+
+  const firstMismatch = results.find(result => result.mismatch) ?? null;
+  return { results, firstMismatch, acceleration };
+}
+
+
+// Threshold for the stopping criterion |q_n|^4 |a_{n+1}|^2 > p^2 2^{2 bits}.
+function stoppingLimit(numerator, bits) {
   const nAbs = numerator < 0n ? -numerator : numerator;
-  const nSq = nAbs * nAbs;
-  const baseLimit = 2n ** 106n; 
-  const LIMIT = nSq > 0n ? baseLimit * nSq : baseLimit;
-  
-  if (coefficients.length === 0) return { convergents, mathLimitIndex };
-  
-  if (coefficients.length === 1) {
-    convergents.push(coefficients[0]);
-    return { convergents, mathLimitIndex };
+  const baseLimit = 2n ** BigInt(2 * bits);
+  return nAbs > 0n ? baseLimit * nAbs * nAbs : baseLimit;
+}
+
+
+// Sanity check p_n q_{n-1} - p_{n-1} q_n = (-1)^{n+1}. The recurrence and every matrix
+// product preserve it, so one check on the last pair catches corrupted arithmetic.
+function assertDeterminant(p, pPrev, q, qPrev, index) {
+  const determinant = p.multiply(qPrev).subtract(pPrev.multiply(q));
+  const expected = index % 2 === 0 ? -1n : 1n;
+
+  if (determinant.re !== expected || determinant.im !== 0n) {
+    throw new Error(`Determinant identity failed at n = ${index}: p_n q_{n-1} - p_{n-1} q_n = ${determinant}.`);
   }
+}
+
+
+function meetsStoppingLimit(q, next, limit) {
+  const qNorm = q.norm();
+  return qNorm * qNorm * next.norm() > limit;
+}
+
+
+// Walks the recurrence p_n = a_n p_{n-1} + p_{n-2} (likewise q_n) on Gaussian integers,
+// pulling coefficients on demand. Until the stopping criterion is met, each step pulls a_{n+1}
+// ahead, since the criterion needs it; from then on a coefficient is only pulled when its own
+// step is requested. Steps carry p_n, q_n and p_{n-1}, q_{n-1}; dividing is left to the caller.
+function* convergentRecurrence(coefficients, limit, maxTerms = Infinity) {
+  const iterator = coefficients[Symbol.iterator]();
+  let next = null;
+  let limitReached = false;
 
-  let p_prev_prev = Complex.ZERO;
-  let p_prev = Complex.ONE;
-  let q_prev_prev = Complex.ONE;
-  let q_prev = Complex.ZERO;
+  let p_prev_prev = GaussianInteger.ZERO;
+  let p_prev = GaussianInteger.ONE;
+  let q_prev_prev = GaussianInteger.ONE;
+  let q_prev = GaussianInteger.ZERO;
+
+  for (let i = 0; i < maxTerms; i++) {
+    next ??= iterator.next();
+    if (next.done) return;
+
+    const coefficient = next.value;
+    const a = GaussianInteger.fromComplex(coefficient);
+    next = null;
 
-  for (let i = 0; i < coefficients.length; i++) {
-    const a = coefficients[i];
-    
     const p_n = a.multiply(p_prev).add(p_prev_prev);
-    
     const q_n = a.multiply(q_prev).add(q_prev_prev);
 
-    const convergent = p_n.divide(q_n);
-    convergents.push(convergent);
-
-
-    if (mathLimitIndex === -1 && i < coefficients.length - 1) {
-      const a_next = coefficients[i+1];
-      
-      const qn_mag_sq = q_n.magnitudeSquaredRational();
-      
-      const qn_mag_quat = multiplyRational(qn_mag_sq, qn_mag_sq);
-      
-      const anext_mag_sq = a_next.magnitudeSquaredRational();
-      
-      const product = multiplyRational(qn_mag_quat, anext_mag_sq);
-      
-      if (product.n > LIMIT * product.d) {
-        mathLimitIndex = i;
+    let isLimit = false;
+    if (!limitReached && i + 1 < maxTerms) {
+      next = iterator.next();
+      if (!next.done) {
+        isLimit = limitReached = meetsStoppingLimit(q_n, GaussianInteger.fromComplex(next.value), limit);
       }
     }
 
+    yield { index: i, coefficient, numerator: p_n, denominator: q_n, previousNumerator: p_prev, previousDenominator: q_prev, isLimit };
+
     p_prev_prev = p_prev;
     p_prev = p_n;
     q_prev_prev = q_prev;
     q_prev = q_n;
   }
+}
+
+
+export function computeAllConvergents(coefficients, numerator = 1n, options = {}) {
+  const {
+    bits = DEFAULT_PRECISION_BITS,
+    extraTerms = Infinity,
+    maxTerms = Infinity
+  } = options;
+
+  const convergents = [];
+  const denominators = [];
+  const usedCoefficients = [];
+  let mathLimitIndex = -1;
+
+  for (const step of convergentRecurrence(coefficients, stoppingLimit(numerator, bits), maxTerms)) {
+    usedCoefficients.push(step.coefficient);
+    convergents.push(step.numerator.divide(step.denominator));
+    denominators.push(step.denominator.toComplex());
+
+    if (step.isLimit) mathLimitIndex = step.index;
+
+    if (mathLimitIndex >= 0 && step.index >= mathLimitIndex + extraTerms) break;
+  }
 
-  return { convergents, mathLimitIndex };
+  return { convergents, denominators, coefficients: usedCoefficients, mathLimitIndex };
 }
 
 
-function powComplexStable(base, exponent) {
-  let exp = typeof exponent === 'bigint' ? exponent : BigInt(Math.abs(Math.round(exponent)));
-  const isNegative = (typeof exponent === 'number' && exponent < 0);
-  
-  let result = Complex.ONE;
-  let x = base;
+// Integer-only counterpart of computeAllConvergents: p_n and q_n stay exact Gaussian
+// integers, only the last pair is kept, and the convergent is divided out once at the end.
+// Returns { index, numerator, denominator, previousNumerator, previousDenominator,
+// coefficients, mathLimitIndex, convergent }, with the determinant identity asserted;
+// quotientBits rounds the convergent like evaluateConvergent's bits instead of reducing it.
+export function computeIntegerConvergents(coefficients, numerator = 1n, options = {}) {
+  const {
+    bits = DEFAULT_PRECISION_BITS,
+    extraTerms = Infinity,
+    maxTerms = Infinity,
+    quotientBits = null
+  } = options;
 
-  while (exp > 0n) {
-    if (exp & 1n) {
-      result = result.multiply(x);
-      result = Complex.normalizeComplex(result);
-    }
-    x = x.multiply(x);
-    x = Complex.normalizeComplex(x);
-    exp >>= 1n;
+  const usedCoefficients = [];
+  let mathLimitIndex = -1;
+  let last = null;
+
+  for (const step of convergentRecurrence(coefficients, stoppingLimit(numerator, bits), maxTerms)) {
+    usedCoefficients.push(step.coefficient);
+    last = step;
+
+    if (step.isLimit) mathLimitIndex = step.index;
+
+    if (mathLimitIndex >= 0 && step.index >= mathLimitIndex + extraTerms) break;
   }
-  
-  return isNegative ? result.conjugate() : result;
+
+  if (!last) {
+    throw new RangeError('At least one coefficient is required.');
+  }
+
+  assertDeterminant(last.numerator, last.previousNumerator, last.denominator, last.previousDenominator, last.index);
+
+  return {
+    index: last.index,
+    numerator: last.numerator,
+    denominator: last.denominator,
+    previousNumerator: last.previousNumerator,
+    previousDenominator: last.previousDenominator,
+    coefficients: usedCoefficients,
+    mathLimitIndex,
+    convergent: quotientBits === null
+      ? last.numerator.divide(last.denominator)
+      : dyadicQuotient(last.numerator, last.denominator, quotientBits)
+  };
 }
 
 
-export function expWithConvergents(angle, terms = 12, exactRational = null) {
-  if (typeof angle !== 'number' || isNaN(angle)) {
-    throw new TypeError('Angle must be a valid number.');
+// Binary splitting. A matrix { p, pPrev, q, qPrev } is [[p, pPrev], [q, qPrev]] over the
+// Gaussian integers; the product of [[a_i, 1], [1, 0]] over i = 0..n is
+// [[p_n, p_{n-1}], [q_n, q_{n-1}]]. Splitting the range in halves keeps the operands of every
+// multiplication about the same size, and no rational is ever reduced.
+const MOBIUS_IDENTITY = {
+  p: GaussianInteger.ONE,
+  pPrev: GaussianInteger.ZERO,
+  q: GaussianInteger.ZERO,
+  qPrev: GaussianInteger.ONE
+};
+
+function mobiusMultiply(m, n) {
+  return {
+    p: m.p.multiplyAdd(n.p, m.pPrev, n.q),
+    pPrev: m.p.multiplyAdd(n.pPrev, m.pPrev, n.qPrev),
+    q: m.q.multiplyAdd(n.p, m.qPrev, n.q),
+    qPrev: m.q.multiplyAdd(n.pPrev, m.qPrev, n.qPrev)
+  };
+}
+
+function mobiusProduct(coefficients, lo, hi) {
+  if (hi - lo === 1) {
+    return { p: coefficients[lo], pPrev: GaussianInteger.ONE, q: GaussianInteger.ONE, qPrev: GaussianInteger.ZERO };
+  }
+
+  const mid = (lo + hi) >> 1;
+  return mobiusMultiply(mobiusProduct(coefficients, lo, mid), mobiusProduct(coefficients, mid, hi));
+}
+
+function assertMatrixDeterminant(matrix, index) {
+  assertDeterminant(matrix.p, matrix.pPrev, matrix.q, matrix.qPrev, index);
+}
+
+
+// p / q with each component floored to a multiple of 2^-bits. Reducing the exact quotient
+// of deep convergents costs a gcd of million-bit integers; the dyadic one only a shift.
+function dyadicQuotient(p, q, bits) {
+  const norm = q.norm();
+  const { re, im } = p.multiply(q.conjugate());
+  const scale = 1n << BigInt(bits);
+  const floorDiv = (n, d) => {
+    const quotient = n / d;
+    return n % d !== 0n && n < 0n ? quotient - 1n : quotient;
+  };
+
+  return new Complex(floorDiv(re * scale, norm), scale, floorDiv(im * scale, norm), scale);
+}
+
+
+// Last convergent p_n / q_n of the coefficient list, formed by binary splitting. numerator
+// and denominator are exact Gaussian integers; convergent is p_n / q_n to `bits` fractional
+// bits (each component rounded down), or exact when bits is null or omitted.
+export function evaluateConvergent(coefficients, { bits } = {}) {
+  const integers = Array.from(coefficients, c => GaussianInteger.fromComplex(c));
+
+  if (integers.length === 0) {
+    throw new RangeError('At least one coefficient is required.');
   }
 
-  if (angle === 0) {
-    return { 
-        baseConvergents: [Complex.ONE], 
-        finalConvergents: [Complex.ONE],
-        mathLimitIndex: -1,
-        iterationMetrics: {
-          convergentIterations: 0,
-          exponentIterations: 0,
-          totalIterations: 0
+  const matrix = mobiusProduct(integers, 0, integers.length);
+  const index = integers.length - 1;
+  assertMatrixDeterminant(matrix, index);
+
+  const convergent = bits == null ? matrix.p.divide(matrix.q) : dyadicQuotient(matrix.p, matrix.q, bits);
+
+  return { index, numerator: matrix.p, denominator: matrix.q, convergent };
+}
+
+
+function splitFixedTerms(coefficients, limit, terms) {
+  const integers = Array.from(coefficients, c => GaussianInteger.fromComplex(c));
+  const count = Math.min(terms, integers.length);
+  const matrix = mobiusProduct(integers, 0, count);
+
+  return {
+    matrix,
+    index: count - 1,
+    limitReached: count < integers.length && meetsStoppingLimit(matrix.q, integers[count], limit)
+  };
+}
+
+
+// Locates the first index meeting the stopping criterion without forming any other
+// convergent: prefixes grow in doubling blocks, and the block that crosses the limit is
+// bisected, each half again by binary splitting. Returns the prefix matrix at that index
+// (or at the last available term when the limit is not reached).
+function splitToLimit(coefficientStream, limit, maxTerms) {
+  const iterator = coefficientStream[Symbol.iterator]();
+  const integers = [];
+  let exhausted = false;
+
+  const pull = count => {
+    while (!exhausted && integers.length < count) {
+      const next = iterator.next();
+      if (next.done) {
+        exhausted = true;
+      } else {
+        integers.push(GaussianInteger.fromComplex(next.value));
+      }
+    }
+  };
+
+  let prefix = MOBIUS_IDENTITY;
+  let done = 0;
+  let block = 16;
+
+  while (true) {
+    pull(Math.min(done + block, maxTerms) + 1);
+    const end = Math.min(done + block, maxTerms, integers.length);
+
+    if (end === done) {
+      return { matrix: prefix, index: done - 1, limitReached: false };
+    }
+
+    const candidate = mobiusMultiply(prefix, mobiusProduct(integers, done, end));
+
+    if (end < integers.length && meetsStoppingLimit(candidate.q, integers[end], limit)) {
+      let lo = done;
+      let hi = end;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        const left = mobiusMultiply(prefix, mobiusProduct(integers, lo, mid));
+        if (meetsStoppingLimit(left.q, integers[mid], limit)) {
+          hi = mid;
+        } else {
+          prefix = left;
+          lo = mid;
         }
-    };
+      }
+      return { matrix: mobiusMultiply(prefix, mobiusProduct(integers, lo, hi)), index: lo, limitReached: true };
+    }
+
+    if (end >= maxTerms || end === integers.length) {
+      return { matrix: candidate, index: end - 1, limitReached: false };
+    }
+
+    prefix = candidate;
+    done = end;
+    block *= 2;
   }
+}
 
-  let numerator, denominator;
 
-  if (exactRational && exactRational.n !== undefined && exactRational.d !== undefined) {
-    numerator = typeof exactRational.n === 'bigint' ? exactRational.n : BigInt(exactRational.n);
-    denominator = typeof exactRational.d === 'bigint' ? exactRational.d : BigInt(exactRational.d);
-  } else {
-    const rational = toRational(angle);
-    numerator = BigInt(rational.n);
-    denominator = BigInt(rational.d);
+export const EXPONENTIATION_BACKENDS = {
+  rational: { label: 'Rational (re-approximated)' },
+  fixed: { label: 'Fixed-point BigInt' },
+  exact: { label: 'Exact rational (no normalization)' }
+};
+
+const EXACT_POWER_MAX_BITS = 1 << 16;
+
+
+// Exponentiation backends share one square-and-multiply loop. The rational backend
+// re-approximates every product through Complex.normalizeComplex (or roundComplex off the
+// unit circle) with denominators up to maxDen; the fixed-point backend holds (X + iY) / 2^F
+// with F working bits and rounds each product to nearest, at most one unit 2^-F per step.
+// On the unit circle both project every product back onto it, or an approximation of
+// modulus 1 + ε would grow like (1 + ε)^p.
+function rationalBackend(maxDen, unitModulus) {
+  const normalize = unitModulus
+    ? z => Complex.normalizeComplex(z, maxDen)
+    : z => Complex.roundComplex(z, maxDen);
+
+  return {
+    workingBits: bitLength(maxDen) - 1,
+    one: Complex.ONE,
+    conversion: { error: ZERO_RATIONAL, ulps: 0 },
+    from: z => z,
+    toComplex: z => z,
+    conjugate: z => z.conjugate(),
+    magnitudeUpperBound: z => z.magnitudeUpperBound(),
+    multiply: (a, b, track) => {
+      const product = a.multiply(b);
+      const value = normalize(product);
+      return { value, rounding: track ? value.subtract(product).magnitudeUpperBound() : null };
+    }
+  };
+}
+
+// Exact powers: nothing is rounded, so the only error is the base convergent's. A power is
+// held as (X + iY) / D over one denominator, which multiplies without a gcd; D^|p| has |p|
+// times the bits of D, so a power past EXACT_POWER_MAX_BITS is refused before any product.
+function exactBackend(base, exponent) {
+  const denominator = base.re.d / gcd(base.re.d, base.im.d) * base.im.d;
+  if (BigInt(bitLength(denominator)) * exponent > BigInt(EXACT_POWER_MAX_BITS)) {
+    throw new RangeError(`Exact power exceeds ${EXACT_POWER_MAX_BITS} bits; use a normalizing backend.`);
   }
-  
-  const denominatorNum = Number(denominator);
-  
-  const coefficients = generateCoefficients(denominatorNum, terms);
-  
-  const { convergents: baseConvergents, mathLimitIndex } = computeAllConvergents(coefficients, numerator);
-  
-  const convergentIterations = mathLimitIndex >= 0 ? mathLimitIndex + 1 : baseConvergents.length;
-  
-  const absNumerator = numerator < 0n ? -numerator : numerator;
-  const exponentIterations = absNumerator === 0n ? 0 : Math.ceil(Math.log2(Number(absNumerator)));
-  
-  const totalIterations = convergentIterations + exponentIterations;
-  
-  const finalConvergents = baseConvergents.map(conv => powComplexStable(conv, numerator));
-  
-  return { 
-    baseConvergents, 
-    finalConvergents, 
-    mathLimitIndex,
-    iterationMetrics: {
-      convergentIterations,
-      exponentIterations,
-      totalIterations
+
+  return {
+    workingBits: Infinity,
+    exact: true,
+    one: { re: 1n, im: 0n, d: 1n },
+    conversion: { error: ZERO_RATIONAL, ulps: 0 },
+    from: z => ({ re: z.re.n * (denominator / z.re.d), im: z.im.n * (denominator / z.im.d), d: denominator }),
+    toComplex: ({ re, im, d }) => new Complex(re, d, im, d),
+    conjugate: z => ({ ...z, im: -z.im }),
+    magnitudeUpperBound: ({ re, im, d }) => {
+      const normSquared = re * re + im * im;
+      const root = bigIntSqrt(normSquared);
+      return { n: root * root === normSquared ? root : root + 1n, d };
+    },
+    multiply: (a, b) => {
+      recordMultiply(a.re, b.re, a.im, b.im, a.re, b.im, a.im, b.re, a.d, b.d);
+      const value = {
+        re: a.re * b.re - a.im * b.im,
+        im: a.re * b.im + a.im * b.re,
+        d: a.d * b.d
+      };
+      return { value, rounding: ZERO_RATIONAL };
     }
   };
 }
 
+function fixedPointBackend(fractionBits, unitModulus) {
+  const shift = BigInt(fractionBits);
+  const scale = 1n << shift;
+  const half = scale >> 1n;
+  const ulp = { n: 1n, d: scale };
+  const roundShift = v => (v + half) >> shift;
+  const roundDivide = (n, d) => floorRational({ n: 2n * n + d, d: 2n * d });
+  const toFixed = ({ n, d }) => roundDivide(n * scale, d);
+  const magnitudeUpperBound = ({ re, im }) => ({ n: bigIntSqrt(re * re + im * im) + 1n, d: scale });
 
-export function exp(angle, terms = 12) {
-  const { finalConvergents } = expWithConvergents(angle, terms);
-  return finalConvergents[finalConvergents.length - 1];
+  const project = z => {
+    recordMultiply(z.re, z.re, z.im, z.im, z.re, scale, z.im, scale);
+    const magnitude = bigIntSqrt(z.re * z.re + z.im * z.im);
+    if (magnitude === 0n) return z;
+    return { re: roundDivide(z.re * scale, magnitude), im: roundDivide(z.im * scale, magnitude) };
+  };
+
+  return {
+    workingBits: fractionBits,
+    one: { re: scale, im: 0n },
+    conversion: { error: ulp, ulps: 1 },
+    from: z => ({ re: toFixed(z.re), im: toFixed(z.im) }),
+    toComplex: ({ re, im }) => new Complex(re, scale, im, scale),
+    conjugate: ({ re, im }) => ({ re, im: -im }),
+    magnitudeUpperBound,
+    multiply: (a, b, track) => {
+      recordMultiply(a.re, b.re, a.im, b.im, a.re, b.im, a.im, b.re);
+      const product = {
+        re: roundShift(a.re * b.re - a.im * b.im),
+        im: roundShift(a.re * b.im + a.im * b.re)
+      };
+      if (!unitModulus) return { value: product, rounding: ulp };
+
+      const value = project(product);
+      const shiftBound = magnitudeUpperBound({ re: value.re - product.re, im: value.im - product.im });
+      return { value, rounding: track ? addRational(ulp, shiftBound) : null };
+    }
+  };
 }
 
 
-export function cos(angle, terms = 12) {
-  const result = exp(angle, terms);
-  return result.toFloat().re;
+// The backend for powers of base up to |exponent|: fixed point works with
+// bits + guardBits + log2|exponent| fractional bits, the rational backend re-approximates to
+// denominators up to 2^normalizationBits when that is set and to maxDen otherwise.
+function exponentiationBackend(exponentiation, maxDen, base, exponent, unitModulus) {
+  const {
+    backend = 'rational',
+    bits = DEFAULT_PRECISION_BITS,
+    guardBits = PRECISION_GUARD_BITS,
+    normalizationBits = null
+  } = exponentiation;
+
+  if (backend === 'fixed') return fixedPointBackend(bits + guardBits + bitLength(exponent), unitModulus);
+  if (backend === 'exact') return exactBackend(base, exponent);
+  return rationalBackend(normalizationBits === null ? maxDen : 1n << BigInt(normalizationBits), unitModulus);
 }
 
 
-export function sin(angle, terms = 12) {
-  const result = exp(angle, terms);
-  return result.toFloat().im;
+// Multiplies tracked values { value, error, ulps } in the backend's representation, where
+// error bounds the distance to the true value (null when untracked) and ulps counts the
+// rounding units accumulated: each product adds one to those of its factors.
+// |ab - AB| <= |a||b - B| + |B||a - A|, with |B| = 1 on the unit circle.
+function trackedMultiplier(backend, unitModulus, track) {
+  return (a, b) => {
+    const { value, rounding } = backend.multiply(a.value, b.value, track);
+    const ulps = a.ulps + b.ulps + (backend.exact ? 0 : 1);
+    if (!track) return { value, error: null, ulps };
+
+    const bTrue = unitModulus ? ONE_RATIONAL : addRational(backend.magnitudeUpperBound(b.value), b.error);
+    const propagated = addRational(
+      multiplyRational(backend.magnitudeUpperBound(a.value), b.error),
+      multiplyRational(bTrue, a.error)
+    );
+    return { value, error: roundUpRational(addRational(propagated, rounding)), ulps };
+  };
+}
+
+
+// Square-and-multiply of a tracked value to a non-negative BigInt exponent.
+function trackedPower(x, exp, multiplyStep, one) {
+  let result = one;
+
+  while (exp > 0n) {
+    if (exp & 1n) {
+      result = multiplyStep(result, x);
+    }
+    exp >>= 1n;
+    if (exp > 0n) {
+      x = multiplyStep(x, x);
+    }
+  }
+
+  return result;
+}
+
+
+function precisionLossOf(backendName, backend, ulps) {
+  const lostBits = ulps > 1 ? Math.ceil(Math.log2(ulps)) : 0;
+  return {
+    backend: backendName,
+    workingBits: backend.workingBits,
+    lostBits,
+    effectiveBits: backend.workingBits - lostBits
+  };
+}
+
+
+// Returns { value, error, loss }. When baseError bounds |base - B| for the true value B,
+// error bounds |value - B^exponent|, including every rounding step; otherwise null.
+// exponentiation selects the backend ({ backend, bits, guardBits }). loss estimates the bits
+// consumed by rounding: the ulp count grows to about 2|exponent| units.
+function powComplexStable(base, exponent, maxDen = MAX_DEN, unitModulus = true, baseError = null, exponentiation = {}) {
+  let exp = typeof exponent === 'bigint' ? exponent : BigInt(Math.round(exponent));
+  const isNegative = exp < 0n;
+  if (isNegative) exp = -exp;
+
+  const backend = exponentiationBackend(exponentiation, maxDen, base, exp, unitModulus);
+  const track = baseError !== null;
+
+  const result = trackedPower(
+    {
+      value: backend.from(base),
+      error: track ? addRational(baseError, backend.conversion.error) : null,
+      ulps: backend.conversion.ulps
+    },
+    exp,
+    trackedMultiplier(backend, unitModulus, track),
+    { value: backend.one, error: track ? ZERO_RATIONAL : null, ulps: 0 }
+  );
+  const loss = precisionLossOf(exponentiation.backend ?? 'rational', backend, result.ulps);
+
+  const power = backend.toComplex(result.value);
+  const resultError = result.error;
+
+  if (!isNegative) return { value: power, error: resultError, loss };
+  if (unitModulus) return { value: power.conjugate(), error: resultError, loss };
+
+  const value = Complex.ONE.divide(power);
+  if (!track) return { value, error: null, loss };
+
+  // |1/r - 1/R| <= e / (|r| (|r| - e)) while |r| > e.
+  const lower = power.magnitudeLowerBound();
+  if (compareRational(lower, resultError) <= 0) return { value, error: null, loss };
+
+  const error = divideRational(resultError, multiplyRational(lower, subtractRational(lower, resultError)));
+  return { value, error: roundUpRational(error), loss };
+}
+
+
+export function reduceAngle(numerator, denominator, bits = DEFAULT_PRECISION_BITS) {
+  let p = BigInt(numerator);
+  let q = BigInt(denominator);
+
+  if (q === 0n) {
+    throw new RangeError('Angle denominator cannot be zero.');
+  }
+
+  if (q < 0n) {
+    p = -p;
+    q = -q;
+  }
+
+  const negated = p < 0n;
+  if (negated) p = -p;
+
+  const angleBits = bitLength(p / q);
+  const pi = piRational(bits + angleBits + PRECISION_GUARD_BITS);
+
+  const quarterTurnsTotal = (4n * p * pi.d + q * pi.n) / (2n * q * pi.n);
+
+  if (quarterTurnsTotal === 0n) {
+    const exact = normalizeRational({ n: p, d: q });
+    return {
+      reduced: exact,
+      quarterTurns: 0,
+      quarterTurnsTotal,
+      reflected: false,
+      negated,
+      angleError: { n: 0n, d: 1n }
+    };
+  }
+
+  const remainder = normalizeRational({
+    n: 2n * p * pi.d - quarterTurnsTotal * q * pi.n,
+    d: 2n * q * pi.d
+  });
+
+  const reflected = remainder.n < 0n;
+  const tolerance = { n: 1n, d: 1n << BigInt(bits + REDUCTION_GUARD_BITS) };
+  const reduced = approxWithin(reflected ? { n: -remainder.n, d: remainder.d } : remainder, tolerance);
+
+  return {
+    reduced,
+    quarterTurns: Number(quarterTurnsTotal % 4n),
+    quarterTurnsTotal,
+    reflected,
+    negated,
+    angleError: { n: 2n, d: tolerance.d }
+  };
+}
+
+
+export function applyReduction(z, { quarterTurns, reflected, negated }) {
+  let result = reflected ? z.conjugate() : z;
+
+  switch (quarterTurns) {
+    case 1:
+      result = new Complex(-result.im.n, result.im.d, result.re.n, result.re.d);
+      break;
+    case 2:
+      result = new Complex(-result.re.n, result.re.d, -result.im.n, result.im.d);
+      break;
+    case 3:
+      result = new Complex(result.im.n, result.im.d, -result.re.n, result.re.d);
+      break;
+  }
+
+  return negated ? result.conjugate() : result;
+}
+
+
+function resolveOptions(termsOrOptions) {
+  const options = typeof termsOrOptions === 'object' && termsOrOptions !== null
+    ? termsOrOptions
+    : { terms: termsOrOptions };
+
+  // A target precision powers every convergent up to the limit, where rational normalization
+  // costs far more than fixed point, so that mode defaults to the fixed-point backend.
+  const precisionMode = options.bits !== undefined || options.digits !== undefined;
+  const backend = options.backend ?? (precisionMode && options.normalizationBits === undefined ? 'fixed' : 'rational');
+  if (!EXPONENTIATION_BACKENDS[backend]) {
+    throw new RangeError(`Unknown exponentiation backend "${backend}".`);
+  }
+
+  const normalizationBits = options.normalizationBits ?? null;
+  if (normalizationBits !== null && (!Number.isInteger(normalizationBits) || normalizationBits <= 0)) {
+    throw new RangeError('Normalization precision must be a positive integer number of bits.');
+  }
+  if (normalizationBits !== null && backend !== 'rational') {
+    throw new RangeError(`The ${backend} backend does not normalize; normalizationBits needs the rational backend.`);
+  }
+
+  const precision = resolvePrecision(options);
+
+  return {
+    options,
+    terms: options.terms ?? 12,
+    extraTerms: options.extraTerms ?? 0,
+    precisionMode,
+    precision,
+    exponentiation: {
+      backend,
+      bits: precision.bits,
+      guardBits: options.guardBits ?? PRECISION_GUARD_BITS,
+      normalizationBits
+    }
+  };
+}
+
+
+function prepareReduction(numerator, denominator, reduce, bits) {
+  const reduction = reduce ? reduceAngle(numerator, denominator, bits) : null;
+
+  return {
+    numerator: reduction ? reduction.reduced.n : numerator,
+    denominator: reduction ? reduction.reduced.d : denominator,
+    reduction,
+    reconstruct: conv => reduction ? applyReduction(conv, reduction) : conv,
+    // Reconstruction is exact; only the reduced angle's error |e^{ia} - e^{ib}| <= |a - b| is added.
+    withAngleError: error => error && reduction && reduction.angleError.n !== 0n
+      ? roundUpRational(addRational(error, reduction.angleError))
+      : error
+  };
+}
+
+
+function resolveAngleRational(angle, exactRational) {
+  let numerator, denominator;
+
+  if (exactRational && exactRational.n !== undefined && exactRational.d !== undefined) {
+    numerator = typeof exactRational.n === 'bigint' ? exactRational.n : BigInt(exactRational.n);
+    denominator = typeof exactRational.d === 'bigint' ? exactRational.d : BigInt(exactRational.d);
+  } else {
+    const rational = toRational(angle);
+    numerator = BigInt(rational.n);
+    denominator = BigInt(rational.d);
+  }
+
+  if (denominator === 0n) {
+    throw new RangeError('Angle denominator cannot be zero.');
+  }
+
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  return { numerator, denominator };
+}
+
+
+function identityResult(precision, finalValue = Complex.ONE, certify = false) {
+  return { 
+      coefficients: [Complex.ONE],
+      baseConvergents: [Complex.ONE], 
+      denominators: [Complex.ONE],
+      finalConvergents: [finalValue],
+      mathLimitIndex: -1,
+      precision,
+      errorBounds: certify ? { base: [ZERO_RATIONAL], final: [ZERO_RATIONAL] } : null,
+      iterationMetrics: {
+        convergentIterations: 0,
+        exponentIterations: 0,
+        totalIterations: 0,
+        precisionLoss: null
+      }
+  };
+}
+
+
+// Reference value of e^{i/q} (or e^{1/q} off the unit circle) from the exact Taylor
+// series; for |x| <= 1 the tail after K terms is at most 2|x|^K / K!.
+function expSeriesReference(denominator, bits, unitModulus) {
+  const target = 2n << BigInt(bits);
+  let termCount = 1n;
+  let scale = denominator;
+
+  while (scale < target) {
+    termCount++;
+    scale *= denominator * termCount;
+  }
+
+  let re = 0n;
+  let im = 0n;
+  let term = 1n;
+
+  for (let k = termCount; k > 0n; k--) {
+    term *= denominator * k;
+    const index = k - 1n;
+    if (!unitModulus) {
+      re += term;
+    } else if (index % 4n === 0n) {
+      re += term;
+    } else if (index % 4n === 1n) {
+      im += term;
+    } else if (index % 4n === 2n) {
+      re -= term;
+    } else {
+      im -= term;
+    }
+  }
+
+  return {
+    value: new Complex(re, scale, im, scale),
+    error: { n: 2n, d: scale }
+  };
+}
+
+
+function referenceBound(conv, reference) {
+  return roundUpRational(addRational(conv.subtract(reference.value).magnitudeUpperBound(), reference.error));
+}
+
+
+function baseConvergentBounds(convergents, denominator, bits, unitModulus) {
+  const reference = expSeriesReference(denominator, bits, unitModulus);
+  return convergents.map(conv => referenceBound(conv, reference));
+}
+
+
+const TRIG_REFERENCE_GUARD_BITS = 16;
+
+// Independent reference for e^{iθ} at an exact rational θ that shares nothing with the continued
+// fractions: θ is halved k times until |θ/2^k| < 2^-r, e^{iθ/2^k} is summed from its Taylor
+// series in fixed point with F fraction bits, and the result is squared k times. The error is
+// tracked in units of 2^-F: each squaring at most doubles it (|Z² - z²| <= |Z - z|(|Z| + |z|)),
+// plus one truncation per component.
+export function trigReference({ n, d }, options = {}) {
+  const { bits } = resolvePrecision(options);
+  if (d <= 0n) {
+    throw new RangeError('Reference angle must have a positive denominator.');
+  }
+
+  const reduction = Math.ceil(Math.sqrt(bits));
+  const halvings = Math.max(0, bitLength(n < 0n ? -n : n) - bitLength(d) + 1 + reduction);
+  const fractionBits = BigInt(bits + halvings + TRIG_REFERENCE_GUARD_BITS);
+  const one = 1n << fractionBits;
+
+  // Y/2^F is within one unit of θ/2^k, and |e^{iθ/2^k} - e^{iY/2^F}| <= |θ/2^k - Y/2^F|.
+  const y = (n << fractionBits) / (d << BigInt(halvings));
+
+  // Each term is truncated once and |Y/2^F| < 1/2, so the term errors stay below 2 units and the
+  // tail after the first term below one unit is at most twice that term.
+  let re = 0n;
+  let im = 0n;
+  let term = one;
+  let terms = 0n;
+
+  while (term > 1n || term < -1n) {
+    const index = terms % 4n;
+    if (index === 0n) re += term;
+    else if (index === 1n) im += term;
+    else if (index === 2n) re -= term;
+    else im -= term;
+
+    terms++;
+    term = term * y / (terms << fractionBits);
+  }
+
+  let error = 2n * terms + 7n;
+
+  for (let i = 0; i < halvings; i++) {
+    [re, im] = [(re * re - im * im) >> fractionBits, (2n * re * im) >> fractionBits];
+    error = 2n * error + ((error * error) >> fractionBits) + 3n;
+  }
+
+  return {
+    value: new Complex(re, one, im, one),
+    error: normalizeRational({ n: error, d: one }),
+    halvings,
+    terms: Number(terms)
+  };
+}
+
+
+const DEFAULT_CACHE_CAPACITY = 32;
+const baseConvergentCache = new LRUCache(DEFAULT_CACHE_CAPACITY);
+
+
+// { hits, misses, size, capacity } of the base-convergent cache shared by
+// expWithConvergents, expRealWithConvergents and convergentStream.
+export function convergentCacheStats() {
+  return baseConvergentCache.stats();
+}
+
+
+export function clearConvergentCache() {
+  baseConvergentCache.clear();
+}
+
+
+// Capacity 0 turns caching off; shrinking evicts the least recently used entries.
+export function setConvergentCacheCapacity(capacity) {
+  baseConvergentCache.resize(capacity);
+}
+
+
+// The base convergents of e^{i/q} (or e^{1/q}) for one coefficient source, computed as far
+// as any caller has needed them. Only the stopping criterion depends on the numerator p, so
+// every p shares the entry; the limit index found for each criterion is remembered in limits.
+function createConvergentEntry(coefficientStream) {
+  return {
+    iterator: coefficientStream[Symbol.iterator](),
+    exhausted: false,
+    coefficients: [],
+    integers: [],
+    convergents: [],
+    denominators: [],
+    limits: new Map(),
+    p: GaussianInteger.ONE,
+    pPrev: GaussianInteger.ZERO,
+    q: GaussianInteger.ZERO,
+    qPrev: GaussianInteger.ONE
+  };
+}
+
+
+function pullCoefficients(entry, count) {
+  while (!entry.exhausted && entry.coefficients.length < count) {
+    const next = entry.iterator.next();
+    if (next.done) {
+      entry.exhausted = true;
+    } else {
+      entry.coefficients.push(next.value);
+      entry.integers.push(GaussianInteger.fromComplex(next.value));
+    }
+  }
+  return entry.coefficients.length >= count;
+}
+
+
+function extendConvergents(entry, count) {
+  while (entry.convergents.length < count && pullCoefficients(entry, entry.convergents.length + 1)) {
+    const a = entry.integers[entry.convergents.length];
+    [entry.pPrev, entry.p] = [entry.p, a.multiply(entry.p).add(entry.pPrev)];
+    [entry.qPrev, entry.q] = [entry.q, a.multiply(entry.q).add(entry.qPrev)];
+
+    entry.convergents.push(entry.p.divide(entry.q));
+    entry.denominators.push(entry.q);
+  }
+  return entry.convergents.length >= count;
+}
+
+
+// Cached counterpart of convergentRecurrence, keyed by (source, q, bits): yields
+// { index, coefficient, convergent, denominator, isLimit } with the same limit semantics,
+// extending the entry only past what earlier calls computed. { cache: false } bypasses it.
+// Like the other integer paths it asserts the determinant identity, on the entry's last pair
+// when the limit step or the final step is reached.
+function* cachedConvergents(source, denominator, bits, limit, maxTerms, useCache = true) {
+  const create = () => createConvergentEntry(source.stream(denominator));
+  const entry = useCache
+    ? baseConvergentCache.getOrCreate(`${source.key}|${denominator}|${bits}`, create)
+    : create();
+  let limitIndex = entry.limits.get(limit);
+
+  for (let i = 0; i < maxTerms && extendConvergents(entry, i + 1); i++) {
+    const hasNext = i + 1 < maxTerms && pullCoefficients(entry, i + 2);
+    let isLimit = false;
+
+    if (hasNext && limitIndex === undefined && meetsStoppingLimit(entry.denominators[i], entry.integers[i + 1], limit)) {
+      limitIndex = i;
+      entry.limits.set(limit, i);
+    }
+    if (hasNext) isLimit = i === limitIndex;
+    if (isLimit || !hasNext) {
+      assertDeterminant(entry.p, entry.pPrev, entry.q, entry.qPrev, entry.convergents.length - 1);
+    }
+
+    yield {
+      index: i,
+      coefficient: entry.coefficients[i],
+      convergent: entry.convergents[i],
+      denominator: entry.denominators[i],
+      isLimit
+    };
+  }
+}
+
+
+// Runs each step of a generator inside profileOperations, so that lazily computed steps are
+// counted under phase even though the caller does other work between them.
+function* profiledSteps(profile, phase, steps) {
+  const iterator = steps[Symbol.iterator]();
+  try {
+    while (true) {
+      const { done, value } = profileOperations(profile, phase, () => iterator.next());
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    iterator.return?.();
+  }
+}
+
+
+// Per-phase counters as they stand now, for results that outlive further counting.
+function snapshotProfile(profile) {
+  return Object.fromEntries(Object.entries(profile).map(([phase, counters]) => [phase, { ...counters }]));
+}
+
+
+// Coefficient source for expWithConvergents. The closed-form pattern is generated directly;
+// every other algorithm expands a Taylor-series reference of e^{i/q} accurate far beyond the
+// stopping criterion, treating quotients within 2^-bits of a rounding tie as exact ties.
+function algorithmSource(algorithm, bits) {
+  if (!CF_ALGORITHMS[algorithm]) {
+    throw new RangeError(`Unknown continued fraction algorithm "${algorithm}".`);
+  }
+
+  if (algorithm === 'pattern') {
+    return { key: algorithm, list: generateCoefficients, stream: cscfCoefficients };
+  }
+
+  const { round } = CF_ALGORITHMS[algorithm];
+  const tieTolerance = { n: 1n, d: 1n << BigInt(bits) };
+  const stream = denominator =>
+    expansionCoefficients(expSeriesReference(denominator, 4 * bits + VERIFY_GUARD_BITS, true).value, round, tieTolerance);
+
+  return {
+    key: `${algorithm}:${bits}`,
+    stream,
+    list: (denominator, terms) => {
+      const coefficients = [];
+      for (const coefficient of stream(denominator)) {
+        if (coefficients.length >= terms) break;
+        coefficients.push(coefficient);
+      }
+      return coefficients;
+    }
+  };
+}
+
+
+function runConvergentPipeline(numerator, denominator, settings, coefficientSource) {
+  const {
+    options,
+    terms,
+    extraTerms,
+    precisionMode,
+    precision,
+    certify = false,
+    unitModulus = true,
+    reconstruct = conv => conv,
+    exponentiation,
+    profile = null
+  } = settings;
+
+  const baseConvergents = [];
+  const denominators = [];
+  const coefficients = [];
+  let mathLimitIndex = -1;
+
+  // A profiled run bypasses the cache, so that the convergents phase counts their cost.
+  const convergentSteps = cachedConvergents(
+    coefficientSource,
+    denominator,
+    precision.bits,
+    stoppingLimit(numerator, precision.bits),
+    precisionMode ? precision.bits + PRECISION_TERMS_MARGIN : terms,
+    options.cache !== false && profile === null
+  );
+  const steps = profile ? profiledSteps(profile, 'convergents', convergentSteps) : convergentSteps;
+
+  for (const step of steps) {
+    coefficients.push(step.coefficient);
+    baseConvergents.push(step.convergent);
+    denominators.push(step.denominator.toComplex());
+
+    if (step.isLimit) mathLimitIndex = step.index;
+    if (precisionMode && mathLimitIndex >= 0 && step.index >= mathLimitIndex + extraTerms) break;
+  }
+
+  const convergentIterations = mathLimitIndex >= 0 ? mathLimitIndex + 1 : baseConvergents.length;
+  
+  const absNumerator = numerator < 0n ? -numerator : numerator;
+  const exponentIterations = absNumerator === 0n ? 0 : bitLength(absNumerator - 1n);
+  
+  const totalIterations = convergentIterations + exponentIterations;
+  
+  const baseErrors = certify
+    ? profileOperations(profile, 'certification', () =>
+        baseConvergentBounds(baseConvergents, denominator, precision.bits + bitLength(absNumerator) + PRECISION_GUARD_BITS, unitModulus))
+    : null;
+
+  const powers = profileOperations(profile, 'exponentiation', () => baseConvergents.map((conv, i) =>
+    powComplexStable(conv, numerator, precision.maxDen, unitModulus, certify ? baseErrors[i] : null, exponentiation)));
+  const finalConvergents = powers.map(({ value }) => reconstruct(value));
+  const limitPower = powers[mathLimitIndex >= 0 ? mathLimitIndex : powers.length - 1];
+  
+  return { 
+    coefficients,
+    baseConvergents, 
+    denominators,
+    finalConvergents, 
+    mathLimitIndex,
+    precision,
+    errorBounds: certify ? { base: baseErrors, final: powers.map(({ error }) => error) } : null,
+    iterationMetrics: {
+      convergentIterations,
+      exponentIterations,
+      totalIterations,
+      precisionLoss: limitPower ? limitPower.loss : null,
+      operationProfile: profile
+    }
+  };
+}
+
+
+export function expWithConvergents(angle, termsOrOptions = 12, exactRational = null) {
+  if (typeof angle !== 'number' || isNaN(angle)) {
+    throw new TypeError('Angle must be a valid number.');
+  }
+
+  const settings = resolveOptions(termsOrOptions);
+  const { options, precision } = settings;
+  const profile = options.profile ? {} : null;
+
+  const angleRational = resolveAngleRational(angle, exactRational ?? options.exactRational ?? null);
+  const { numerator, denominator, reduction, reconstruct, withAngleError } = profileOperations(profile, 'reduction', () =>
+    prepareReduction(angleRational.numerator, angleRational.denominator, options.reduce, precision.bits));
+
+  const certify = Boolean(options.certify);
+
+  const result = numerator === 0n
+    ? identityResult(precision, reconstruct(Complex.ONE), certify)
+    : runConvergentPipeline(numerator, denominator, { ...settings, certify, reconstruct, profile },
+        algorithmSource(options.algorithm ?? 'pattern', precision.bits + bitLength(numerator < 0n ? -numerator : numerator)));
+
+  if (certify && reduction) {
+    result.errorBounds.final = result.errorBounds.final.map(withAngleError);
+  }
+
+  return { ...result, reduction };
+}
+
+
+// Runs expWithConvergents once per algorithm on the same angle and reports, side by side,
+// where each reaches the stopping criterion, how fast |q_n| grows and the wall-clock time.
+// Each row also reports firstDifference: the first coefficient index where it departs from
+// the first algorithm in the list, the pattern by default (null if it never does). For the
+// nearest-integer rules that is where a tie was broken the other way; J. Hurwitz's expansion
+// departs after a_0 for odd q and reaches the limit through different convergents.
+export function compareAlgorithms(angle, termsOrOptions = 12, exactRational = null, algorithms = Object.keys(CF_ALGORITHMS)) {
+  const { options } = resolveOptions(termsOrOptions);
+  let baseline = null;
+
+  return algorithms.map(algorithm => {
+    const start = performance.now();
+    const result = expWithConvergents(angle, { ...options, algorithm, certify: true }, exactRational);
+    const timeMs = performance.now() - start;
+
+    const limit = result.mathLimitIndex >= 0 ? result.mathLimitIndex : result.finalConvergents.length - 1;
+    const denominatorBits = result.denominators.map(q => bitLength(q.magnitudeSquaredRational().n) / 2);
+    baseline ??= result.coefficients;
+    const differs = (c, i) => {
+      if (i >= baseline.length) return true;
+      const difference = c.subtract(baseline[i]);
+      return difference.re.n !== 0n || difference.im.n !== 0n;
+    };
+    const firstDifference = result.coefficients.findIndex(differs);
+
+    return {
+      algorithm,
+      label: CF_ALGORITHMS[algorithm].label,
+      coefficients: result.coefficients,
+      finalConvergents: result.finalConvergents,
+      mathLimitIndex: result.mathLimitIndex,
+      iterationMetrics: result.iterationMetrics,
+      denominatorBits,
+      errorBounds: result.errorBounds.final,
+      limitDenominatorBits: denominatorBits[limit],
+      limitErrorBound: result.errorBounds.final[limit],
+      firstDifference: firstDifference >= 0 ? firstDifference : null,
+      timeMs
+    };
+  });
+}
+
+
+function defaultNormalizationModes(bits) {
+  return [
+    { backend: 'exact' },
+    { backend: 'rational' },
+    { backend: 'rational', normalizationBits: bits },
+    { backend: 'rational', normalizationBits: Math.ceil(bits / 2) },
+    { backend: 'fixed' },
+    { backend: 'fixed', guardBits: 0 }
+  ];
+}
+
+
+function normalizationModeLabel({ backend = 'rational', normalizationBits, guardBits }) {
+  const details = [];
+  if (normalizationBits !== undefined) details.push(`denominators ≤ 2^${normalizationBits}`);
+  if (guardBits !== undefined) details.push(`${guardBits} guard bits`);
+  const label = EXPONENTIATION_BACKENDS[backend].label;
+  return details.length > 0 ? `${label}, ${details.join(', ')}` : label;
+}
+
+
+// Evaluates e^{iθ} by binary splitting once per exponentiation mode ({ backend,
+// normalizationBits, guardBits }) on the same base convergent, and reports how the
+// normalization rounding reaches the final digits: the certified bound, the error measured
+// against trigReference, the correct bits and the precision the powering kept. A mode whose
+// exact power would be too large is reported as skipped.
+export function compareNormalization(angle, termsOrOptions = {}, exactRational = null, modes = null) {
+  const { options, precision } = resolveOptions(termsOrOptions);
+  const { numerator, denominator } = resolveAngleRational(angle, exactRational ?? options.exactRational ?? null);
+  const referenceBits = precision.bits + PRECISION_TERMS_MARGIN;
+  const reference = trigReference({ n: numerator, d: denominator }, { bits: referenceBits });
+
+  // The value is truncated to the reference's 2^-referenceBits before it is measured: an exact
+  // power has tens of thousands of bits, and subtracting the reference from it would take
+  // longer than computing it.
+  const scale = 1n << BigInt(referenceBits);
+  const truncate = z => new Complex((z.re.n * scale) / z.re.d, scale, (z.im.n * scale) / z.im.d, scale);
+
+  return (modes ?? defaultNormalizationModes(precision.bits)).map(mode => {
+    const label = normalizationModeLabel(mode);
+    const start = performance.now();
+    let result;
+
+    try {
+      result = expBinarySplitting(angle, { ...options, ...mode, certify: true }, { n: numerator, d: denominator });
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      return { mode, label, skipped: error.message };
+    }
+
+    const timeMs = performance.now() - start;
+    const measuredError = truncate(result.value).subtract(reference.value).magnitudeUpperBound();
+
+    return {
+      mode,
+      label,
+      value: result.value,
+      errorBound: result.error,
+      measuredError,
+      correctBits: measuredError.n === 0n
+        ? referenceBits
+        : bitLength(measuredError.d) - bitLength(measuredError.n),
+      precisionLoss: result.iterationMetrics.precisionLoss,
+      timeMs
+    };
+  });
+}
+
+
+// Lazy counterpart of expWithConvergents for θ = p/q. Each step is
+// { index, coefficient, baseConvergent, denominator, finalConvergent, error, isLimit, metrics },
+// with the running iteration metrics and, when certify is set, the certified bound of the
+// final convergent. Coefficients are produced on demand; the stream ends extraTerms steps
+// after the mathematical limit (or after maxTerms), and callers may stop earlier.
+export function* convergentStream(p, q, options = {}) {
+  const { options: streamOptions, precision, exponentiation } = resolveOptions(options);
+  const {
+    extraTerms = 0,
+    maxTerms = precision.bits + PRECISION_TERMS_MARGIN,
+    certify = false,
+    algorithm = 'pattern',
+    reduce = false
+  } = streamOptions;
+  const profile = streamOptions.profile ? {} : null;
+
+  const angleRational = resolveAngleRational(null, { n: p, d: q });
+  const { numerator, denominator, reconstruct, withAngleError } = profileOperations(profile, 'reduction', () =>
+    prepareReduction(angleRational.numerator, angleRational.denominator, reduce, precision.bits));
+
+  if (numerator === 0n) {
+    yield {
+      index: 0,
+      coefficient: Complex.ONE,
+      baseConvergent: Complex.ONE,
+      denominator: Complex.ONE,
+      finalConvergent: reconstruct(Complex.ONE),
+      error: certify ? withAngleError(ZERO_RATIONAL) : null,
+      isLimit: false,
+      metrics: { convergentIterations: 0, exponentIterations: 0, totalIterations: 0, precisionLoss: null }
+    };
+    return;
+  }
+
+  const absNumerator = numerator < 0n ? -numerator : numerator;
+  const exponentIterations = bitLength(absNumerator - 1n);
+  const source = algorithmSource(algorithm, precision.bits + bitLength(absNumerator));
+  const reference = certify
+    ? profileOperations(profile, 'certification', () =>
+        expSeriesReference(denominator, precision.bits + bitLength(absNumerator) + PRECISION_GUARD_BITS, true))
+    : null;
+
+  let mathLimitIndex = -1;
+
+  // A profiled run bypasses the cache, so that the convergents phase counts their cost.
+  const convergentSteps = cachedConvergents(
+    source,
+    denominator,
+    precision.bits,
+    stoppingLimit(numerator, precision.bits),
+    maxTerms,
+    streamOptions.cache !== false && profile === null
+  );
+  const steps = profile ? profiledSteps(profile, 'convergents', convergentSteps) : convergentSteps;
+
+  for (const step of steps) {
+    if (step.isLimit) mathLimitIndex = step.index;
+
+    const baseConvergent = step.convergent;
+    const baseError = reference
+      ? profileOperations(profile, 'certification', () => referenceBound(baseConvergent, reference))
+      : null;
+    const power = profileOperations(profile, 'exponentiation', () =>
+      powComplexStable(baseConvergent, numerator, precision.maxDen, true, baseError, exponentiation));
+    const convergentIterations = mathLimitIndex >= 0 ? mathLimitIndex + 1 : step.index + 1;
+
+    yield {
+      index: step.index,
+      coefficient: step.coefficient,
+      baseConvergent,
+      denominator: step.denominator.toComplex(),
+      finalConvergent: reconstruct(power.value),
+      error: withAngleError(power.error),
+      isLimit: step.isLimit,
+      metrics: {
+        convergentIterations,
+        exponentIterations,
+        totalIterations: convergentIterations + exponentIterations,
+        precisionLoss: power.loss,
+        operationProfile: profile && snapshotProfile(profile)
+      }
+    };
+
+    if (mathLimitIndex >= 0 && step.index >= mathLimitIndex + extraTerms) return;
+  }
+}
+
+
+// Sequential counterpart of splitToLimit and splitFixedTerms: walks the recurrence one term at
+// a time up to the first `terms` coefficients, or only up to the first index meeting the
+// stopping criterion when stopAtLimit is set, and returns the same { matrix, index, limitReached }.
+function recurrenceToLimit(coefficients, limit, terms, stopAtLimit) {
+  let last = null;
+  let limitReached = false;
+
+  for (const step of convergentRecurrence(coefficients, limit, terms + 1)) {
+    last = step;
+    limitReached ||= step.isLimit;
+    if (step.index === terms - 1 || (stopAtLimit && limitReached)) break;
+  }
+
+  if (!last) {
+    throw new RangeError('At least one coefficient is required.');
+  }
+
+  const matrix = { p: last.numerator, pPrev: last.previousNumerator, q: last.denominator, qPrev: last.previousDenominator };
+  return { matrix, index: last.index, limitReached };
+}
+
+
+// Deep evaluation of e^{iθ}: only the convergent that is raised to the power p is formed,
+// from the binary-split product of the coefficient matrices. With { terms } that is the
+// convergent of the first `terms` coefficients; with { bits | digits } the first one meeting
+// the stopping criterion. Returns { value, baseConvergent, index, limitReached,
+// denominatorBits, error, precision, reduction, iterationMetrics }, with baseConvergent
+// rounded to the working precision rather than reduced exactly.
+export function expBinarySplitting(angle, termsOrOptions = 12, exactRational = null) {
+  return expLimitConvergent(angle, termsOrOptions, exactRational, false);
+}
+
+
+// The same single power as expBinarySplitting, with the convergent reached by the forward
+// recurrence one term at a time instead, as the CSCF evaluation to compare splitting against.
+export function expRecurrence(angle, termsOrOptions = 12, exactRational = null) {
+  return expLimitConvergent(angle, termsOrOptions, exactRational, true);
+}
+
+
+function expLimitConvergent(angle, termsOrOptions, exactRational, sequential) {
+  if (typeof angle !== 'number' || isNaN(angle)) {
+    throw new TypeError('Angle must be a valid number.');
+  }
+
+  const { options, terms, precisionMode, precision, exponentiation } = resolveOptions(termsOrOptions);
+  const angleRational = resolveAngleRational(angle, exactRational ?? options.exactRational ?? null);
+  const { numerator, denominator, reduction, reconstruct, withAngleError } =
+    prepareReduction(angleRational.numerator, angleRational.denominator, options.reduce, precision.bits);
+  const certify = Boolean(options.certify);
+
+  if (numerator === 0n) {
+    return {
+      value: reconstruct(Complex.ONE),
+      baseConvergent: Complex.ONE,
+      index: 0,
+      limitReached: false,
+      denominatorBits: 0,
+      error: certify ? withAngleError(ZERO_RATIONAL) : null,
+      precision,
+      reduction,
+      iterationMetrics: { convergentIterations: 0, exponentIterations: 0, totalIterations: 0, precisionLoss: null }
+    };
+  }
+
+  const absNumerator = numerator < 0n ? -numerator : numerator;
+  const source = algorithmSource(options.algorithm ?? 'pattern', precision.bits + bitLength(absNumerator));
+  const limit = stoppingLimit(numerator, precision.bits);
+  const maxTerms = precisionMode ? precision.bits + PRECISION_TERMS_MARGIN : terms;
+  const { matrix, index, limitReached } = sequential
+    ? recurrenceToLimit(source.stream(denominator), limit, maxTerms, precisionMode)
+    : precisionMode
+      ? splitToLimit(source.stream(denominator), limit, maxTerms)
+      : splitFixedTerms(source.list(denominator, terms + 1), limit, terms);
+  assertMatrixDeterminant(matrix, index);
+
+  // The base convergent is kept to the working precision of the power; its certified bound
+  // is taken against the reference directly, so the rounding is accounted for.
+  const workingBits = precision.bits + bitLength(absNumerator) + PRECISION_GUARD_BITS;
+  const baseConvergent = dyadicQuotient(matrix.p, matrix.q, workingBits);
+  const baseError = certify
+    ? referenceBound(baseConvergent, expSeriesReference(denominator, workingBits, true))
+    : null;
+  const power = powComplexStable(baseConvergent, numerator, precision.maxDen, true, baseError, exponentiation);
+
+  const convergentIterations = index + 1;
+  const exponentIterations = bitLength(absNumerator - 1n);
+
+  return {
+    value: reconstruct(power.value),
+    baseConvergent,
+    index,
+    limitReached,
+    denominatorBits: bitLength(matrix.q.norm()) / 2,
+    error: withAngleError(power.error),
+    precision,
+    reduction,
+    iterationMetrics: {
+      convergentIterations,
+      exponentIterations,
+      totalIterations: convergentIterations + exponentIterations,
+      precisionLoss: power.loss
+    }
+  };
+}
+
+
+const PLAN_MAX_SCALE_BITS = 8;
+const PLAN_TRIAL_DIVISION_LIMIT = 1n << 16n;
+const PLAN_MAX_BLOCKS = 8;
+const PLAN_ESTIMATE_BITS = 128;
+
+const PLAN_KINDS = {
+  direct: 'Direct power',
+  integer: 'Integer part split',
+  coprime: 'Coprime denominators',
+  coprimeInteger: 'Coprime denominators, integer part split'
+};
+
+
+function popCount(n) {
+  return n.toString(2).replaceAll('0', '').length;
+}
+
+
+// Estimated cost of (e^{i/Q})^N to `bits`, counted in bit operations of schoolbook
+// multiplication (an m-bit by n-bit product costs mn; a complex one four times that). The
+// recurrence is walked on q_n truncated to its leading PLAN_ESTIMATE_BITS bits, which follows
+// log2|q_n| closely and stops where expBinarySplitting's stopping criterion does.
+function estimateFactor(numerator, denominator, bits) {
+  const absNumerator = numerator < 0n ? -numerator : numerator;
+  const limit = stoppingLimit(absNumerator, bits);
+  const maxTerms = bits + PRECISION_TERMS_MARGIN;
+  const coefficients = cscfCoefficients(denominator);
+
+  let next = GaussianInteger.fromComplex(coefficients.next().value);
+  let qPrev = GaussianInteger.ONE;
+  let q = GaussianInteger.ZERO;
+  let shift = 0;
+  let convergentIterations = 0;
+  let convergentCost = 0;
+
+  while (convergentIterations < maxTerms) {
+    const a = next;
+    next = GaussianInteger.fromComplex(coefficients.next().value);
+
+    // p_n and q_n each cost a complex product of a_n with the previous entry.
+    convergentCost += 8 * Math.max(1, shift + bitLength(q.norm()) / 2) * Math.max(1, bitLength(a.norm()) / 2);
+    [qPrev, q] = [q, a.multiply(q).add(qPrev)];
+    convergentIterations++;
+
+    const excess = Math.floor(bitLength(q.norm()) / 2) - PLAN_ESTIMATE_BITS;
+    if (excess > 0) {
+      const drop = BigInt(excess);
+      q = new GaussianInteger(q.re >> drop, q.im >> drop);
+      qPrev = new GaussianInteger(qPrev.re >> drop, qPrev.im >> drop);
+      shift += excess;
+    }
+
+    const qNorm = q.norm();
+    if ((qNorm * qNorm * next.norm()) << BigInt(4 * shift) > limit) break;
+  }
+
+  const denominatorBits = shift + bitLength(q.norm()) / 2;
+  const workingBits = bits + bitLength(absNumerator) + PRECISION_GUARD_BITS;
+  const products = bitLength(absNumerator) - 1 + popCount(absNumerator) - 1;
+  const quotientCost = 4 * denominatorBits * workingBits;
+  const powerCost = 4 * workingBits * workingBits * products;
+
+  return {
+    numerator,
+    denominator,
+    convergentIterations,
+    exponentIterations: bitLength(absNumerator - 1n),
+    denominatorBits,
+    workingBits,
+    cost: convergentCost + quotientCost + powerCost
+  };
+}
+
+
+// A larger denominator Q·2^s makes the coefficients grow faster, so fewer terms are needed,
+// at the price of s more squarings; the cheapest scale up to PLAN_MAX_SCALE_BITS is kept.
+function cheapestScaledFactor(numerator, denominator, bits) {
+  let best = null;
+
+  for (let s = 0n; s <= BigInt(PLAN_MAX_SCALE_BITS); s++) {
+    const estimate = estimateFactor(numerator << s, denominator << s, bits);
+    if (!best || estimate.cost < best.cost) best = estimate;
+  }
+
+  return best;
+}
+
+
+// Prime-power blocks of q by trial division; a cofactor without small factors stays whole.
+function coprimeBlocks(q) {
+  const blocks = [];
+  let rest = q;
+
+  for (let p = 2n; p < PLAN_TRIAL_DIVISION_LIMIT && p * p <= rest; p += p === 2n ? 1n : 2n) {
+    let block = 1n;
+    while (rest % p === 0n) {
+      rest /= p;
+      block *= p;
+    }
+    if (block > 1n) blocks.push(block);
+  }
+  if (rest > 1n) blocks.push(rest);
+
+  while (blocks.length > PLAN_MAX_BLOCKS) {
+    blocks.push(blocks.pop() * blocks.pop());
+  }
+
+  return blocks;
+}
+
+
+function modularInverse(a, m) {
+  let [r0, r1] = [((a % m) + m) % m, m];
+  let [s0, s1] = [1n, 0n];
+
+  while (r1 !== 0n) {
+    const quotient = r0 / r1;
+    [r0, r1] = [r1, r0 - quotient * r1];
+    [s0, s1] = [s1, s0 - quotient * s1];
+  }
+
+  return ((s0 % m) + m) % m;
+}
+
+
+// Writes p/q as a sum of fractions over the given pairwise coprime factors of q: each
+// p/q = a/b + c/(q/b) takes a ≡ p (q/b)^{-1} (mod b) in (-b/2, b/2], and the last factor
+// carries what remains.
+function splitOverDenominators(p, denominators) {
+  const fractions = [];
+  let numerator = p;
+  let rest = denominators.reduce((product, d) => product * d, 1n);
+
+  for (const b of denominators.slice(0, -1)) {
+    rest /= b;
+    let a = (numerator * modularInverse(rest, b)) % b;
+    if (a < 0n) a += b;
+    if (2n * a > b) a -= b;
+
+    fractions.push([a, b]);
+    numerator = (numerator - a * rest) / b;
+  }
+
+  fractions.push([numerator, rest]);
+  return fractions.filter(([n]) => n !== 0n);
+}
+
+
+// Moves the nearest integer of every fraction into one e^{iK} factor, which uses the
+// accelerated expansion of e^i.
+function splitIntegerPart(fractions) {
+  let integerPart = 0n;
+  const remainders = [];
+
+  for (const [n, d] of fractions) {
+    const k = floorRational({ n: 2n * n + d, d: 2n * d });
+    integerPart += k;
+    if (n !== k * d) remainders.push([n - k * d, d]);
+  }
+
+  return integerPart === 0n ? remainders : [[integerPart, 1n], ...remainders];
+}
+
+
+function formatFactor({ numerator, denominator }) {
+  const base = denominator === 1n ? 'e^i' : `e^(i/${denominator})`;
+  return numerator === 1n ? base : `(${base})^${numerator}`;
+}
+
+
+// Each of m factors is evaluated to bits + ceil(log2 m), so their errors sum to at most
+// 2^-bits; combining them costs one complex product per extra factor.
+function buildPlan(kind, fractions, bits, scale) {
+  const factorBits = bits + bitLength(BigInt(Math.max(fractions.length - 1, 0)));
+  const factors = fractions.map(([n, d]) =>
+    scale ? cheapestScaledFactor(n, d, factorBits) : estimateFactor(n, d, factorBits));
+
+  const combineBits = bits + PRECISION_GUARD_BITS;
+  const combineCost = 4 * combineBits * combineBits * Math.max(factors.length - 1, 0);
+  const convergentIterations = factors.reduce((sum, f) => sum + f.convergentIterations, 0);
+  const exponentIterations = factors.reduce((sum, f) => sum + f.exponentIterations, 0);
+
+  return {
+    kind,
+    label: PLAN_KINDS[kind],
+    expression: factors.length ? factors.map(formatFactor).join(' · ') : '1',
+    bits: factorBits,
+    factors,
+    iterations: {
+      convergentIterations,
+      exponentIterations,
+      totalIterations: convergentIterations + exponentIterations
+    },
+    cost: factors.reduce((sum, f) => sum + f.cost, combineCost)
+  };
+}
+
+
+// Chooses how to evaluate e^{ip/q} to the requested { bits | digits }. Candidates write p/q
+// as a sum of fractions (an integer part, and parts over coprime factors of q), and every
+// factor may use a related denominator Q·2^s; each plan is priced by estimateFactor.
+// Returns { naive, best, candidates }, with naive the direct (e^{i/q})^p and candidates
+// sorted by estimated cost. Plans are { kind, label, expression, bits, factors, iterations, cost }.
+export function planAngle(angle, options = {}, exactRational = null) {
+  const { options: planOptions, precision } = resolveOptions(options);
+  const angleRational = resolveAngleRational(angle, exactRational ?? planOptions.exactRational ?? null);
+  const { n: p, d: q } = normalizeRational({ n: angleRational.numerator, d: angleRational.denominator });
+
+  const naive = buildPlan('direct', p === 0n ? [] : [[p, q]], precision.bits, false);
+  if (p === 0n) return { naive, best: naive, candidates: [naive] };
+
+  const decompositions = [['direct', [[p, q]]]];
+  const blocks = coprimeBlocks(q);
+
+  if (blocks.length > 1) {
+    const splits = [];
+    for (let mask = 1; mask < 2 ** (blocks.length - 1); mask++) {
+      const left = blocks.filter((_, i) => mask & (1 << i)).reduce((a, b) => a * b, 1n);
+      splits.push([left, q / left]);
+    }
+    if (blocks.length > 2) splits.push(blocks);
+
+    for (const denominators of splits) {
+      decompositions.push(['coprime', splitOverDenominators(p, denominators)]);
+    }
+  }
+
+  const candidates = [naive];
+  const seen = new Set([naive.expression]);
+  const consider = plan => {
+    if (seen.has(plan.expression)) return;
+    seen.add(plan.expression);
+    candidates.push(plan);
+  };
+
+  for (const [kind, fractions] of decompositions) {
+    consider(buildPlan(kind, fractions, precision.bits, true));
+
+    if (fractions.some(([n, d]) => d > 1n && 2n * (n < 0n ? -n : n) > d)) {
+      consider(buildPlan(kind === 'direct' ? 'integer' : 'coprimeInteger', splitIntegerPart(fractions), precision.bits, true));
+    }
+  }
+
+  candidates.sort((a, b) => a.cost - b.cost);
+  return { naive, best: candidates[0], candidates };
+}
+
+
+// Evaluates e^{ip/q} by a plan from planAngle: the chosen one, or with { plan: 'naive' } the
+// direct power. Each factor comes from expBinarySplitting and the certified bounds combine as
+// |xy - XY| <= |x||y - Y| + |x - X| on the unit circle. Returns { value, error, precision,
+// plan, naive, factors, iterationMetrics }.
+export function expPlanned(angle, options = {}, exactRational = null) {
+  if (typeof angle !== 'number' || isNaN(angle)) {
+    throw new TypeError('Angle must be a valid number.');
+  }
+
+  const { options: planOptions, precision } = resolveOptions(options);
+  const { naive, best } = planAngle(angle, planOptions, exactRational);
+  const plan = planOptions.plan === 'naive' ? naive : best;
+
+  let value = Complex.ONE;
+  let error = ZERO_RATIONAL;
+  let precisionLoss = null;
+
+  const factors = plan.factors.map(({ numerator, denominator }) => {
+    const factor = expBinarySplitting(
+      toFloating({ n: numerator, d: denominator }),
+      { ...planOptions, bits: plan.bits, certify: true, reduce: false },
+      { n: numerator, d: denominator }
+    );
+
+    error = roundUpRational(addRational(multiplyRational(value.magnitudeUpperBound(), factor.error), error));
+    value = value.multiply(factor.value);
+    precisionLoss = weakerPrecision(precisionLoss, factor.iterationMetrics.precisionLoss);
+
+    return { numerator, denominator, ...factor };
+  });
+
+  return {
+    value,
+    error,
+    precision,
+    plan,
+    naive,
+    factors,
+    iterationMetrics: { ...plan.iterations, precisionLoss }
+  };
+}
+
+function compareBigInt(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+
+// Powers e^{ip/q} for the sorted distinct numerators of one denominator: a single base
+// convergent, taken at the stopping criterion of the largest |p| from the convergent cache,
+// is raised to the smallest numerator; every later power is the previous one times the
+// power for the gap, unless raising the base directly is cheaper. Each power of the base
+// is computed once, so a table with a constant step costs one product per angle.
+function batchPowers(denominator, numerators, settings) {
+  const { options, precision, exponentiation, certify } = settings;
+  const maxNumerator = numerators.reduce((max, n) => {
+    const abs = n < 0n ? -n : n;
+    return abs > max ? abs : max;
+  }, 0n);
+
+  const source = algorithmSource(options.algorithm ?? 'pattern', precision.bits + bitLength(maxNumerator));
+  const steps = cachedConvergents(
+    source,
+    denominator,
+    precision.bits,
+    stoppingLimit(maxNumerator, precision.bits),
+    precision.bits + PRECISION_TERMS_MARGIN,
+    options.cache !== false
+  );
+
+  let base = null;
+  for (const step of steps) {
+    base = step;
+    if (step.isLimit) break;
+  }
+
+  const workingBits = precision.bits + bitLength(maxNumerator) + PRECISION_GUARD_BITS;
+  const baseError = certify
+    ? referenceBound(base.convergent, expSeriesReference(denominator, workingBits, true))
+    : null;
+
+  const backend = exponentiationBackend(exponentiation, precision.maxDen, base.convergent, maxNumerator, true);
+  const multiply = trackedMultiplier(backend, true, certify);
+  let multiplications = 0;
+  const multiplyStep = (a, b) => {
+    multiplications++;
+    return multiply(a, b);
+  };
+
+  const one = { value: backend.one, error: certify ? ZERO_RATIONAL : null, ulps: 0 };
+  const x = {
+    value: backend.from(base.convergent),
+    error: certify ? addRational(baseError, backend.conversion.error) : null,
+    ulps: backend.conversion.ulps
+  };
+
+  const basePowers = new Map();
+  const basePower = k => {
+    if (!basePowers.has(k)) basePowers.set(k, trackedPower(x, k, multiplyStep, one));
+    return basePowers.get(k);
+  };
+  const powerCost = k => bitLength(k) - 1 + popCount(k);
+
+  // On the unit circle e^{-ik/q} is the conjugate of e^{ik/q}, with the same error.
+  const directPower = n => {
+    const power = basePower(n < 0n ? -n : n);
+    return n < 0n ? { ...power, value: backend.conjugate(power.value) } : power;
+  };
+
+  let current = directPower(numerators[0]);
+  const powers = new Map([[numerators[0], current]]);
+  let maxUlps = current.ulps;
+
+  for (let k = 1; k < numerators.length; k++) {
+    const n = numerators[k];
+    const gap = n - numerators[k - 1];
+
+    current = basePowers.has(gap) || powerCost(gap) < powerCost(n < 0n ? -n : n)
+      ? multiplyStep(current, basePower(gap))
+      : directPower(n);
+    powers.set(n, current);
+    maxUlps = Math.max(maxUlps, current.ulps);
+  }
+
+  return {
+    powers: new Map([...powers].map(([n, power]) => [n, { value: backend.toComplex(power.value), error: power.error }])),
+    convergentIterations: base.index + 1,
+    multiplications,
+    loss: precisionLossOf(exponentiation.backend, backend, maxUlps)
+  };
+}
+
+
+// Evaluates e^{iθ} for many rational angles (numbers, BigInts or { n, d }) with the options
+// of expWithConvergents in { bits | digits } mode. Angles are grouped by denominator, and an
+// angle whose reduced denominator divides a larger one in the batch joins that group, so a
+// table of k/N shares e^{i/N} even where k/N reduces; each group shares its base convergent
+// and powers (see batchPowers). Returns { results, metrics }:
+// results in input order as { angle, value, cos, sin, tan, error, enclosure }, with cos, sin
+// and tan exact rationals (tan null where cos is 0) and error and enclosure set by certify;
+// metrics compare the multiplications done with those of evaluating each angle on its own.
+export function expBatch(angles, options = {}) {
+  const settings = resolveOptions(options);
+  const certify = Boolean(settings.options.certify);
+  const rationals = Array.from(angles, toExactRational);
+
+  const groupDenominators = [];
+  for (const d of [...new Set(rationals.map(angle => angle.d))].sort((a, b) => compareBigInt(b, a))) {
+    if (!groupDenominators.some(D => D % d === 0n)) groupDenominators.push(d);
+  }
+
+  // Numerators are scaled to their group's denominator; results keep the reduced angle.
+  const groups = new Map(groupDenominators.map(D => [D, []]));
+  const scaled = rationals.map((angle, i) => {
+    const D = groupDenominators.find(D => D % angle.d === 0n);
+    groups.get(D).push(i);
+    return angle.n * (D / angle.d);
+  });
+
+  const results = new Array(rationals.length);
+  const metrics = {
+    angles: rationals.length,
+    denominators: groups.size,
+    convergentIterations: 0,
+    multiplications: 0,
+    directMultiplications: 0,
+    totalIterations: 0,
+    precisionLoss: null,
+    maxError: certify ? ZERO_RATIONAL : null
+  };
+
+  for (const [denominator, indices] of groups) {
+    const numerators = [...new Set(indices.map(i => scaled[i]))].sort(compareBigInt);
+    const batch = numerators.some(n => n !== 0n)
+      ? batchPowers(denominator, numerators, { ...settings, certify })
+      : null;
+
+    if (batch) {
+      metrics.convergentIterations += batch.convergentIterations;
+      metrics.multiplications += batch.multiplications;
+      metrics.precisionLoss = weakerPrecision(metrics.precisionLoss, batch.loss);
+    }
+
+    for (const i of indices) {
+      const angle = rationals[i];
+      const abs = angle.n < 0n ? -angle.n : angle.n;
+      const { value, error } = angle.n === 0n
+        ? { value: Complex.ONE, error: certify ? ZERO_RATIONAL : null }
+        : batch.powers.get(scaled[i]);
+
+      if (abs > 0n) metrics.directMultiplications += bitLength(abs) - 1 + popCount(abs);
+      if (certify && compareRational(error, metrics.maxError) > 0) metrics.maxError = error;
+
+      results[i] = {
+        angle,
+        value,
+        cos: value.re,
+        sin: value.im,
+        tan: value.re.n === 0n ? null : divideRational(value.im, value.re),
+        error,
+        enclosure: certify ? trigEnclosure(value, error) : null
+      };
+    }
+  }
+
+  metrics.totalIterations = metrics.convergentIterations + metrics.multiplications;
+  return { results, metrics };
+}
+
+
+export const TRIG_METHODS = {
+  cscf: { label: 'CSCF + exponentiation' },
+  lambert: { label: "Lambert's tan CF" }
+};
+
+
+// Lambert's continued fraction tan x = x/(1 - x²/(3 - x²/(5 - ...))) for x = P/Q in integer
+// form P/(Q - P²/(3Q - P²/(5Q - ...))): partial numerators P, -P², -P², ... over partial
+// denominators Q, 3Q, 5Q, ... Yields the convergents A_n/B_n with their partial denominator.
+function* lambertConvergents(P, Q) {
+  let [aPrev, a] = [1n, 0n];
+  let [bPrev, b] = [0n, 1n];
+  recordMultiply(P, P);
+  const negatedSquare = -P * P;
+
+  for (let k = 1; ; k++) {
+    const partialNumerator = k === 1 ? P : negatedSquare;
+    const partialDenominator = BigInt(2 * k - 1) * Q;
+    recordMultiply(partialDenominator, a, partialNumerator, aPrev, partialDenominator, b, partialNumerator, bPrev);
+    [aPrev, a] = [a, partialDenominator * a + partialNumerator * aPrev];
+    [bPrev, b] = [b, partialDenominator * b + partialNumerator * bPrev];
+
+    yield { index: k - 1, coefficient: partialDenominator, numerator: a, denominator: b };
+  }
+}
+
+
+// Lambert counterpart of the stopping criterion. Once the partial denominators (2k + 1)Q
+// outgrow 2|P|, that is 2k + 1 >= 2|x|, the differences between convergents shrink at least
+// geometrically, so the tail is under twice the next step. On the unit circle a step from
+// t = A/B to t' = A'/B' has length 2|t - t'| / sqrt((1 + t²)(1 + t'²)), so the limit is the
+// first convergent with 16 (A'B - AB')² 2^{2 bits} <= (A² + B²)(A'² + B'²).
+function meetsLambertLimit(current, next, P, bits) {
+  if (next.coefficient < 2n * (P < 0n ? -P : P)) return false;
+
+  const { numerator: A, denominator: B } = current;
+  const { numerator: nextA, denominator: nextB } = next;
+  recordMultiply(nextA, B, A, nextB, A, A, B, B, nextA, nextA, nextB, nextB);
+  const difference = nextA * B - A * nextB;
+  const currentNorm = A * A + B * B;
+  const nextNorm = nextA * nextA + nextB * nextB;
+
+  recordMultiply(difference, difference, currentNorm, nextNorm);
+  return (difference * difference) << BigInt(2 * bits + 4) <= currentNorm * nextNorm;
+}
+
+
+// e^{iθ} from Lambert's continued fraction for t = tan(θ/2): every convergent t = A/B maps
+// to w = (B + iA)/(B - iA) = ((B² - A²) + 2ABi)/(A² + B²), which lies exactly on the unit
+// circle, so cos θ = (1 - t²)/(1 + t²) and sin θ = 2t/(1 + t²) are recovered as rationals.
+// Returns the structure of expWithConvergents: coefficients are the partial denominators,
+// denominators are B - iA, no exponentiation is involved, and halfAngleTangents holds the
+// convergents { n, d } of tan(θ/2). The continued fraction needs about |θ| terms before it
+// converges, so large angles should use { reduce: true }. With certify, bounds are taken
+// against a binary-splitting evaluation of e^{iθ} with PRECISION_GUARD_BITS more bits.
+export function lambertWithConvergents(angle, termsOrOptions = 12, exactRational = null) {
+  if (typeof angle !== 'number' || isNaN(angle)) {
+    throw new TypeError('Angle must be a valid number.');
+  }
+
+  const { options, terms, extraTerms, precisionMode, precision } = resolveOptions(termsOrOptions);
+  const angleRational = resolveAngleRational(angle, exactRational ?? options.exactRational ?? null);
+  const { numerator, denominator, reduction, reconstruct, withAngleError } =
+    prepareReduction(angleRational.numerator, angleRational.denominator, options.reduce, precision.bits);
+  const certify = Boolean(options.certify);
+
+  if (numerator === 0n) {
+    return { ...identityResult(precision, reconstruct(Complex.ONE), certify), halfAngleTangents: [ZERO_RATIONAL], reduction };
+  }
+
+  const { n: P, d: Q } = normalizeRational({ n: numerator, d: 2n * denominator });
+  const halfAngleBits = bitLength((P < 0n ? -P : P) / Q);
+  const maxTerms = precisionMode
+    ? precision.bits + PRECISION_TERMS_MARGIN + 2 ** (halfAngleBits + 1)
+    : terms;
+
+  const coefficients = [];
+  const baseConvergents = [];
+  const denominators = [];
+  const halfAngleTangents = [];
+  let mathLimitIndex = -1;
+
+  const convergents = lambertConvergents(P, Q);
+  let next = convergents.next().value;
+
+  for (let i = 0; i < maxTerms; i++) {
+    const current = next;
+    next = convergents.next().value;
+
+    const { numerator: A, denominator: B } = current;
+    recordMultiply(A, A, B, B, A, B);
+    const norm = A * A + B * B;
+    coefficients.push(new Complex(current.coefficient, 1n));
+    baseConvergents.push(new Complex(B * B - A * A, norm, 2n * A * B, norm));
+    denominators.push(new Complex(B, 1n, -A, 1n));
+    halfAngleTangents.push(normalizeRational({ n: A, d: B }));
+
+    if (mathLimitIndex < 0 && i + 1 < maxTerms && meetsLambertLimit(current, next, P, precision.bits)) {
+      mathLimitIndex = i;
+    }
+    if (precisionMode && mathLimitIndex >= 0 && i >= mathLimitIndex + extraTerms) break;
+  }
+
+  let errorBounds = null;
+  if (certify) {
+    const reference = expBinarySplitting(
+      toFloating({ n: numerator, d: denominator }),
+      { bits: precision.bits + 2 * PRECISION_GUARD_BITS, certify: true },
+      { n: numerator, d: denominator }
+    );
+    const base = baseConvergents.map(conv => referenceBound(conv, reference));
+    errorBounds = { base, final: base.map(withAngleError) };
+  }
+
+  const convergentIterations = mathLimitIndex >= 0 ? mathLimitIndex + 1 : baseConvergents.length;
+
+  return {
+    coefficients,
+    baseConvergents,
+    denominators,
+    finalConvergents: baseConvergents.map(reconstruct),
+    halfAngleTangents,
+    mathLimitIndex,
+    precision,
+    errorBounds,
+    reduction,
+    iterationMetrics: {
+      convergentIterations,
+      exponentIterations: 0,
+      totalIterations: convergentIterations,
+      precisionLoss: null
+    }
+  };
+}
+
+
+export function exp(angle, termsOrOptions = 12) {
+  const { finalConvergents } = expWithConvergents(angle, termsOrOptions);
+  return finalConvergents[finalConvergents.length - 1];
+}
+
+
+export function* realExpCoefficients(n) {
+  const nBig = BigInt(n);
+
+  if (nBig <= 0n) {
+    throw new RangeError('Denominator must be a positive integer.');
+  }
+
+  const real = value => new Complex(value, 1n, 0n, 1n);
+
+  if (nBig === 1n) {
+    yield real(2n);
+    for (let k = 1n; ; k++) {
+      yield real(1n);
+      yield real(2n * k);
+      yield real(1n);
+    }
+  }
+
+  yield real(1n);
+  for (let k = 0n; ; k++) {
+    yield real((2n * k + 1n) * nBig - 1n);
+    yield real(1n);
+    yield real(1n);
+  }
+}
+
+
+export function generateRealExpCoefficients(n, k) {
+  const coefficients = [];
+  if (k <= 0) return coefficients;
+
+  for (const coefficient of realExpCoefficients(n)) {
+    coefficients.push(coefficient);
+    if (coefficients.length >= k) break;
+  }
+
+  return coefficients;
+}
+
+
+export function expRealWithConvergents(x, termsOrOptions = 12, exactRational = null) {
+  if (typeof x !== 'number' || isNaN(x)) {
+    throw new TypeError('Argument must be a valid number.');
+  }
+
+  const settings = resolveOptions(termsOrOptions);
+  const { options, precision } = settings;
+  const { numerator, denominator } = resolveAngleRational(x, exactRational ?? options.exactRational ?? null);
+  const certify = Boolean(options.certify);
+
+  if (numerator === 0n) {
+    return identityResult(precision, Complex.ONE, certify);
+  }
+
+  return runConvergentPipeline(numerator, denominator, { ...settings, certify, unitModulus: false }, {
+    key: 'real',
+    list: generateRealExpCoefficients,
+    stream: realExpCoefficients
+  });
+}
+
+
+export function expReal(x, termsOrOptions = 12, exactRational = null) {
+  const { finalConvergents } = expRealWithConvergents(x, termsOrOptions, exactRational);
+  return finalConvergents[finalConvergents.length - 1].re;
+}
+
+
+export function hyperbolicValues(e) {
+  const inverse = divideRational({ n: 1n, d: 1n }, e);
+  const eSq = multiplyRational(e, e);
+  const one = { n: 1n, d: 1n };
+
+  return {
+    sinh: multiplyRational(subtractRational(e, inverse), { n: 1n, d: 2n }),
+    cosh: multiplyRational(addRational(e, inverse), { n: 1n, d: 2n }),
+    tanh: divideRational(subtractRational(eSq, one), addRational(eSq, one))
+  };
+}
+
+
+function hyperbolic(name, x, termsOrOptions, exactRational) {
+  const result = expRealWithConvergents(x, termsOrOptions, exactRational);
+  const values = result.finalConvergents.map(conv => hyperbolicValues(conv.re)[name]);
+
+  return {
+    value: values[values.length - 1],
+    values,
+    mathLimitIndex: result.mathLimitIndex,
+    precision: result.precision,
+    iterationMetrics: result.iterationMetrics
+  };
+}
+
+
+export function sinh(x, termsOrOptions = 12, exactRational = null) {
+  return hyperbolic('sinh', x, termsOrOptions, exactRational);
+}
+
+
+export function cosh(x, termsOrOptions = 12, exactRational = null) {
+  return hyperbolic('cosh', x, termsOrOptions, exactRational);
+}
+
+
+export function tanh(x, termsOrOptions = 12, exactRational = null) {
+  return hyperbolic('tanh', x, termsOrOptions, exactRational);
+}
+
+
+export function cos(angle, termsOrOptions = 12) {
+  const result = exp(angle, termsOrOptions);
+  return result.toFloat().re;
+}
+
+
+export function sin(angle, termsOrOptions = 12) {
+  const result = exp(angle, termsOrOptions);
+  return result.toFloat().im;
+}
+
+
+function toComplexArgument(z) {
+  if (z instanceof Complex) return { re: z.re, im: z.im };
+  if (z && z.re !== undefined && z.im !== undefined) {
+    return { re: toExactRational(z.re), im: toExactRational(z.im) };
+  }
+  return { re: toExactRational(z), im: { n: 0n, d: 1n } };
+}
+
+
+function convergentAt(convergents, index) {
+  return convergents[Math.min(index, convergents.length - 1)];
+}
+
+
+// The product of two factors is only as precise as the weaker one.
+function weakerPrecision(a, b) {
+  if (!a || !b) return a ?? b;
+  return a.effectiveBits <= b.effectiveBits ? a : b;
+}
+
+
+export function expiWithConvergents(z, termsOrOptions = 12) {
+  const { re, im } = toComplexArgument(z);
+  const negatedIm = { n: -im.n, d: im.d };
+
+  const circle = expWithConvergents(toFloating(re), termsOrOptions, re);
+  const real = expRealWithConvergents(toFloating(negatedIm), termsOrOptions, negatedIm);
+
+  const circleLimit = re.n === 0n ? 0 : circle.mathLimitIndex;
+  const realLimit = im.n === 0n ? 0 : real.mathLimitIndex;
+  const mathLimitIndex = circleLimit >= 0 && realLimit >= 0 ? Math.max(circleLimit, realLimit) : -1;
+
+  const count = Math.max(circle.finalConvergents.length, real.finalConvergents.length);
+  const finalConvergents = [];
+  const finalErrors = [];
+  const certified = circle.errorBounds && real.errorBounds;
+
+  for (let i = 0; i < count; i++) {
+    const c = convergentAt(circle.finalConvergents, i);
+    const r = convergentAt(real.finalConvergents, i);
+    finalConvergents.push(c.multiply(r));
+
+    if (certified) {
+      const cError = convergentAt(circle.errorBounds.final, i);
+      const rError = convergentAt(real.errorBounds.final, i);
+      // |cr - CR| <= |c||r - R| + |R||c - C|
+      finalErrors.push(cError === null || rError === null ? null : roundUpRational(addRational(
+        multiplyRational(c.magnitudeUpperBound(), rError),
+        multiplyRational(addRational(r.magnitudeUpperBound(), rError), cError)
+      )));
+    }
+  }
+
+  return {
+    coefficients: circle.coefficients,
+    baseConvergents: circle.baseConvergents,
+    realCoefficients: real.coefficients,
+    realConvergents: real.baseConvergents,
+    finalConvergents,
+    mathLimitIndex,
+    precision: circle.precision,
+    errorBounds: certified ? { base: circle.errorBounds.base, final: finalErrors } : null,
+    reduction: circle.reduction ?? null,
+    iterationMetrics: {
+      convergentIterations: circle.iterationMetrics.convergentIterations + real.iterationMetrics.convergentIterations,
+      exponentIterations: circle.iterationMetrics.exponentIterations + real.iterationMetrics.exponentIterations,
+      totalIterations: circle.iterationMetrics.totalIterations + real.iterationMetrics.totalIterations,
+      precisionLoss: weakerPrecision(circle.iterationMetrics.precisionLoss, real.iterationMetrics.precisionLoss)
+    }
+  };
+}
+
+
+export function trigValues(w) {
+  const inverse = Complex.ONE.divide(w);
+  const wSq = w.multiply(w);
+
+  return {
+    cos: w.add(inverse).multiply(new Complex(1n, 2n)),
+    sin: w.subtract(inverse).multiply(new Complex(0n, 1n, -1n, 2n)),
+    tan: wSq.subtract(Complex.ONE).divide(wSq.add(Complex.ONE)).multiply(new Complex(0n, 1n, -1n, 1n))
+  };
+}
+
+
+export function expi(z, termsOrOptions = 12) {
+  const { finalConvergents } = expiWithConvergents(z, termsOrOptions);
+  return finalConvergents[finalConvergents.length - 1];
+}
+
+
+export function expComplex(z, termsOrOptions = 12) {
+  const { re, im } = toComplexArgument(z);
+  return expi({ re: im, im: { n: -re.n, d: re.d } }, termsOrOptions);
+}
+
+
+export function cosComplex(z, termsOrOptions = 12) {
+  return trigValues(expi(z, termsOrOptions)).cos;
+}
+
+
+export function sinComplex(z, termsOrOptions = 12) {
+  return trigValues(expi(z, termsOrOptions)).sin;
+}
+
+
+export function tanComplex(z, termsOrOptions = 12) {
+  return trigValues(expi(z, termsOrOptions)).tan;
+}
+
+
+export function trigEnclosure(w, error) {
+  const cos = { lo: subtractRational(w.re, error), hi: addRational(w.re, error) };
+  const sin = { lo: subtractRational(w.im, error), hi: addRational(w.im, error) };
+
+  return { cos, sin, tan: quotientEnclosure(sin, cos) };
+}
+
+
+function quotientEnclosure(numerator, denominator) {
+  if (denominator.lo.n <= 0n && denominator.hi.n >= 0n) return null;
+
+  const candidates = [numerator.lo, numerator.hi].flatMap(a =>
+    [denominator.lo, denominator.hi].map(b => divideRational(a, b)));
+  candidates.sort(compareRational);
+
+  return { lo: candidates[0], hi: candidates[candidates.length - 1] };
+}
+
+
+export function certifiedTrig(angle, termsOrOptions = 12, exactRational = null) {
+  const { options } = resolveOptions(termsOrOptions);
+  const { finalConvergents, errorBounds } = expWithConvergents(angle, { ...options, certify: true }, exactRational);
+
+  let index = -1;
+  errorBounds.final.forEach((error, i) => {
+    if (error !== null && (index < 0 || compareRational(error, errorBounds.final[index]) <= 0)) index = i;
+  });
+
+  if (index < 0) {
+    throw new RangeError('No convergent could be certified.');
+  }
+
+  const value = finalConvergents[index];
+  const error = errorBounds.final[index];
+  return { index, value, error, ...trigEnclosure(value, error) };
+}
+
+
+function toExactRational(value) {
+  if (typeof value === 'bigint') return { n: value, d: 1n };
+  if (typeof value === 'number') return toBigIntRational(value);
+  if (value && value.n !== undefined && value.d !== undefined) {
+    return normalizeRational({ n: BigInt(value.n), d: BigInt(value.d) });
+  }
+  throw new TypeError('Input must be a rational {n, d}, a BigInt or a number.');
+}
+
+
+function atanUnitInterval(a, b, bits) {
+  const scale = 1n << BigInt(bits + INVERSE_GUARD_BITS);
+  const aSq = a * a;
+  const normSq = aSq + b * b;
+
+  let term = (scale * a * b) / normSq;
+  let sum = term;
+  let n = 1n;
+
+  while (term !== 0n) {
+    term = (term * 2n * n * aSq) / ((2n * n + 1n) * normSq);
+    sum += term;
+    n++;
+  }
+
+  return {
+    value: normalizeRational({ n: sum, d: scale }),
+    error: normalizeRational({ n: 2n * n + 8n, d: scale })
+  };
+}
+
+
+function atan2WithError(y, x, bits) {
+  if (y.n === 0n && x.n === 0n) {
+    throw new RangeError('atan2(0, 0) is undefined.');
+  }
+
+  const yAbs = { n: y.n < 0n ? -y.n : y.n, d: y.d };
+  const xAbs = { n: x.n < 0n ? -x.n : x.n, d: x.d };
+  const pi = piRational(bits + INVERSE_GUARD_BITS);
+  const halfPi = { n: pi.n, d: 2n * pi.d };
+
+  let result;
+  let error;
+  let usesPi = false;
+
+  if (yAbs.n * xAbs.d <= xAbs.n * yAbs.d) {
+    ({ value: result, error } = atanUnitInterval(yAbs.n * xAbs.d, xAbs.n * yAbs.d, bits));
+  } else {
+    const inner = atanUnitInterval(xAbs.n * yAbs.d, yAbs.n * xAbs.d, bits);
+    result = subtractRational(halfPi, inner.value);
+    error = inner.error;
+    usesPi = true;
+  }
+
+  if (x.n < 0n) {
+    result = subtractRational(pi, result);
+    usesPi = true;
+  }
+
+  if (y.n < 0n) {
+    result = { n: -result.n, d: result.d };
+  }
+
+  if (usesPi) {
+    error = addRational(error, { n: 1n, d: 1n << BigInt(bits + INVERSE_GUARD_BITS) });
+  }
+
+  return { value: result, error };
+}
+
+
+function sqrtOneMinusSquare(v, bits) {
+  const radicand = v.d * v.d - v.n * v.n;
+  if (radicand < 0n) {
+    throw new RangeError('Input must lie in [-1, 1].');
+  }
+
+  const scale = 1n << BigInt(bits + INVERSE_GUARD_BITS);
+  const root = bigIntSqrt(radicand * scale * scale);
+  const exact = root * root === radicand * scale * scale;
+
+  return {
+    value: normalizeRational({ n: root, d: v.d * scale }),
+    error: exact ? { n: 0n, d: 1n } : { n: 1n, d: v.d * scale }
+  };
+}
+
+
+export function atan2(y, x, { bits = DEFAULT_PRECISION_BITS } = {}) {
+  const { value, error } = atan2WithError(toExactRational(y), toExactRational(x), bits);
+  return { value, error, bits };
+}
+
+
+export function atan(x, options = {}) {
+  return atan2(toExactRational(x), { n: 1n, d: 1n }, options);
+}
+
+
+export function asin(x, { bits = DEFAULT_PRECISION_BITS } = {}) {
+  const v = toExactRational(x);
+  const cosine = sqrtOneMinusSquare(v, bits);
+  const { value, error } = atan2WithError(v, cosine.value, bits);
+  return { value, error: addRational(error, multiplyRational({ n: 2n, d: 1n }, cosine.error)), bits };
+}
+
+
+export function acos(x, { bits = DEFAULT_PRECISION_BITS } = {}) {
+  const v = toExactRational(x);
+  const sine = sqrtOneMinusSquare(v, bits);
+  const { value, error } = atan2WithError(sine.value, v, bits);
+  return { value, error: addRational(error, multiplyRational({ n: 2n, d: 1n }, sine.error)), bits };
 }
\ No newline at end of file
@@ -1,5 +1,28 @@
 
-import { generateCoefficients, expWithConvergents } from './Trig.js';
+import {
+  expWithConvergents,
+  expRealWithConvergents,
+  expiWithConvergents,
+  hyperbolicValues,
+  trigValues,
+  trigEnclosure,
+  convergentStream,
+  lambertWithConvergents,
+  TRIG_METHODS,
+  trigReference,
+  hurwitzExpansion,
+  verifyCoefficientPatterns,
+  compareAlgorithms,
+  planAngle,
+  expPlanned,
+  convergentCacheStats,
+  clearConvergentCache,
+  setConvergentCacheCapacity,
+  CF_ALGORITHMS,
+  EXPONENTIATION_BACKENDS,
+  atan2
+} from './Trig.js';
+import Complex from './Complex.js';
 import { toRational
        , toBigIntRational
        , formatFullPrecision
@@ -7,6 +30,16 @@ import { toRational
        , formatDifference
        , highlightElement
        } from "./Utils.js";
+import {
+  toDecimal,
+  toExponential,
+  toFloating,
+  decimalPrecision,
+  normalizeRational,
+  subtractRational,
+  addRational,
+  divideRational
+} from './RationalBigInt.js';
 
 export class ComplexVisualizerUI {
   constructor() {
@@ -14,6 +47,45 @@ export class ComplexVisualizerUI {
     this.numeratorInput = document.getElementById('numeratorInput');
     this.denominatorInput = document.getElementById('denominatorInput');
     this.piDropdown = document.getElementById('piDropdown');
+    this.imagInput = document.getElementById('imagInput');
+    this.complexInput = document.getElementById('complexInput');
+    this.angleInputsElement = document.getElementById('angleInputs');
+    this.imagGroupElement = document.getElementById('imagGroup');
+    this.complexGroupElement = document.getElementById('complexGroup');
+    this.trigComparisonElement = document.getElementById('trigComparison');
+    this.referenceSelect = document.getElementById('referenceSelect');
+    this.referenceGroupElement = document.getElementById('referenceGroup');
+    this.verifyFromInput = document.getElementById('verifyFrom');
+    this.verifyToInput = document.getElementById('verifyTo');
+    this.verifyTermsInput = document.getElementById('verifyTerms');
+    this.verifyButton = document.getElementById('verifyButton');
+    this.verifierSummaryElement = document.getElementById('verifierSummary');
+    this.verifierTableElement = document.getElementById('verifierTable');
+    this.verifierTableBody = document.getElementById('verifierTableBody');
+    this.accelerationSummaryElement = document.getElementById('accelerationSummary');
+    this.methodSelect = document.getElementById('methodSelect');
+    this.methodGroupElement = document.getElementById('methodGroup');
+    this.methodComparisonElement = document.getElementById('methodComparison');
+    this.algorithmSelect = document.getElementById('algorithmSelect');
+    this.algorithmGroupElement = document.getElementById('algorithmGroup');
+    this.backendSelect = document.getElementById('backendSelect');
+    this.backendGroupElement = document.getElementById('backendGroup');
+    this.algorithmComparisonElement = document.getElementById('algorithmComparison');
+    this.compareButton = document.getElementById('compareButton');
+    this.comparisonSummaryElement = document.getElementById('comparisonSummary');
+    this.comparisonTableElement = document.getElementById('comparisonTable');
+    this.comparisonTableBody = document.getElementById('comparisonTableBody');
+    this.anglePlannerElement = document.getElementById('anglePlanner');
+    this.planButton = document.getElementById('planButton');
+    this.planEvaluateButton = document.getElementById('planEvaluateButton');
+    this.planSummaryElement = document.getElementById('planSummary');
+    this.planTableElement = document.getElementById('planTable');
+    this.planTableBody = document.getElementById('planTableBody');
+    this.operationProfileTable = document.getElementById('operationProfileTable');
+    this.operationProfileBody = document.getElementById('operationProfileBody');
+    this.cacheStatsElement = document.getElementById('cacheStatsValue');
+    this.cacheCapacityInput = document.getElementById('cacheCapacityInput');
+    this.clearCacheButton = document.getElementById('clearCacheButton');
     this.plotButton = document.getElementById('plotButton');
     this.generateRandomButton = document.getElementById('generateCoefficients');
     this.complexCanvas = document.getElementById('complexCanvas');
@@ -25,6 +97,15 @@ export class ComplexVisualizerUI {
     this.totalConvergentsElement = document.getElementById('totalConvergents');
     this.distanceToUnitCircleElement = document.getElementById('distanceToUnitCircle');
     this.headerFormula = document.getElementById('headerFormula');
+    this.digitsSelect = document.getElementById('digitsSelect');
+    this.modeSelect = document.getElementById('modeSelect');
+    this.distanceLabelElement = document.getElementById('distanceLabel');
+    this.comparisonTitleElement = document.getElementById('comparisonTitle');
+    this.angleProbeElement = document.getElementById('angleProbe');
+    this.probePointElement = document.getElementById('probePoint');
+    this.probeAngleElement = document.getElementById('probeAngle');
+    this.probeErrorElement = document.getElementById('probeError');
+    this.probeJsAngleElement = document.getElementById('probeJsAngle');
 
     this.ctx = this.complexCanvas.getContext('2d');
 
@@ -40,14 +121,18 @@ export class ComplexVisualizerUI {
     };
 
     this.COEFFICIENT_COUNT = 24;
+    this.displayDigits = 17;
+    this.mode = 'circle';
 
     this.currentConvergents = [];
     this.currentStep = 0;
     this.animationInterval = null;
     this.isAnimating = false;
     this.allConvergents = [];
+    this.overlayConvergents = [];
     this.redundantStartIndex = -1;
     this.REDUNDANT_DISPLAY_COUNT = 4;
+    this.REFERENCE_GUARD_BITS = 128;
     
     this.inputSource = 'decimal';
 
@@ -55,6 +140,7 @@ export class ComplexVisualizerUI {
     this.hoveredConvergent = null;
     this.tooltipTimeout = null;
 
+    this.PLAN_PREVIEW_DIGITS = 100;
     this.isUpdatingFromDecimal = false;
     this.isUpdatingFromRational = false;
 
@@ -70,12 +156,26 @@ export class ComplexVisualizerUI {
     this.jsTanElement = document.getElementById('jsTan');
     this.diffTanElement = document.getElementById('diffTan');
 
+    this.enclosureElements = {
+      cos: document.getElementById('encCos'),
+      sin: document.getElementById('encSin'),
+      tan: document.getElementById('encTan')
+    };
+
     this.convergenceBarElement = document.getElementById('convergenceBar');
     this.convergenceStatusElement = document.getElementById('convergenceStatus');
+    this.correctDigitsElement = document.getElementById('correctDigits');
 
     this.lastGeneratedAngle = null;
 
     this.cachedExactRational = null;
+    this.currentImaginary = null;
+    this.errorBounds = null;
+    this.explorerValue = null;
+    this.lastResults = null;
+    this.probePoint = null;
+    this.mouseDownPosition = null;
+    this.exactReference = null;
 
     this.init();
 }
@@ -89,6 +189,45 @@ export class ComplexVisualizerUI {
     this.resetViewButton.addEventListener('click', () => this.resetView());
     this.zoomToLastButton.addEventListener('click', () => this.zoomToLastConvergent());
     this.zoomToReferenceButton.addEventListener('click', () => this.zoomToReference());
+    this.digitsSelect.addEventListener('change', () => this.updateDisplayDigits());
+    this.modeSelect.addEventListener('change', () => this.updateMode());
+    this.referenceSelect.addEventListener('change', () => {
+      this.updateComparisonLabels();
+      this.drawScene();
+    });
+    this.verifyButton.addEventListener('click', () => this.runPatternVerifier());
+    this.compareButton.addEventListener('click', () => this.runAlgorithmComparison());
+    this.planButton.addEventListener('click', () => this.runAnglePlanner(false));
+    this.planEvaluateButton.addEventListener('click', () => this.runAnglePlanner(true));
+    this.clearCacheButton.addEventListener('click', () => {
+      clearConvergentCache();
+      this.displayCacheStats();
+    });
+    this.cacheCapacityInput.value = convergentCacheStats().capacity;
+    this.cacheCapacityInput.addEventListener('change', () => {
+      const capacity = parseInt(this.cacheCapacityInput.value, 10);
+      if (Number.isInteger(capacity) && capacity >= 0) {
+        setConvergentCacheCapacity(capacity);
+      }
+      this.cacheCapacityInput.value = convergentCacheStats().capacity;
+      this.displayCacheStats();
+    });
+
+    for (const [value, { label }] of Object.entries(TRIG_METHODS)) {
+      this.methodSelect.add(new Option(label, value));
+    }
+    this.methodSelect.add(new Option('Both (overlay)', 'overlay'));
+    this.methodSelect.addEventListener('change', () => this.generateAndPlot());
+
+    for (const [value, { label }] of Object.entries(CF_ALGORITHMS)) {
+      this.algorithmSelect.add(new Option(label, value));
+    }
+    this.algorithmSelect.addEventListener('change', () => this.generateAndPlot());
+
+    for (const [value, { label }] of Object.entries(EXPONENTIATION_BACKENDS)) {
+      this.backendSelect.add(new Option(label, value));
+    }
+    this.backendSelect.addEventListener('change', () => this.generateAndPlot());
 
     this.setupInputEvents();
 
@@ -147,6 +286,7 @@ export class ComplexVisualizerUI {
 
   setupCanvasEvents() {
     this.canvasContainer.addEventListener('mousedown', (e) => {
+      this.mouseDownPosition = { x: e.clientX, y: e.clientY };
       this.viewState.isDragging = true;
       this.viewState.lastMouseX = e.clientX;
       this.viewState.lastMouseY = e.clientY;
@@ -180,6 +320,13 @@ export class ComplexVisualizerUI {
       this.canvasContainer.style.cursor = 'move';
     });
 
+    this.canvasContainer.addEventListener('click', (e) => {
+      if (!this.mouseDownPosition) return;
+      const moved = Math.hypot(e.clientX - this.mouseDownPosition.x, e.clientY - this.mouseDownPosition.y);
+      this.mouseDownPosition = null;
+      if (moved < 3) this.probeAngleAt(e);
+    });
+
     this.canvasContainer.addEventListener('mouseleave', () => {
       this.viewState.isDragging = false;
       this.canvasContainer.style.cursor = 'move';
@@ -200,7 +347,7 @@ export class ComplexVisualizerUI {
         this.viewState.scale *= zoomFactor;
       } else {
         this.viewState.scale /= zoomFactor;
-        if (this.viewState.scale < 1) this.viewState.scale = 1;
+        if (this.viewState.scale < this.minScale()) this.viewState.scale = this.minScale();
       }
 
       const complexAfterZoom = this.mapFromCanvas(mouseX, mouseY);
@@ -275,6 +422,78 @@ export class ComplexVisualizerUI {
     return parseFloat(piStr);
   }
 
+  parseExactInteger(str) {
+    const trimmed = String(str).trim();
+    return /^-?\d+$/.test(trimmed) ? BigInt(trimmed) : null;
+  }
+
+  parsePiRational(piStr) {
+    if (piStr === '1') return { n: 1n, d: 1n };
+    if (piStr.includes('/')) {
+      const [num, den] = piStr.split('/').map(part => this.parseExactInteger(part));
+      if (num !== null && den !== null && den !== 0n) return { n: num, d: den };
+    }
+    return null;
+  }
+
+  parseExactDecimal(str) {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(str);
+    if (!match || (match[2] === '' && !match[3])) return null;
+
+    const fraction = match[3] ?? '';
+    const n = BigInt(`${match[2]}${fraction}` || '0');
+    return { n: match[1] === '-' ? -n : n, d: 10n ** BigInt(fraction.length) };
+  }
+
+  parseExactRational(str) {
+    const [num, den, ...rest] = str.split('/');
+    if (rest.length > 0) return null;
+
+    const numerator = this.parseExactDecimal(num);
+    const denominator = den === undefined ? { n: 1n, d: 1n } : this.parseExactDecimal(den);
+    if (!numerator || !denominator || denominator.n === 0n) return null;
+
+    return normalizeRational({ n: numerator.n * denominator.d, d: numerator.d * denominator.n });
+  }
+
+  parseComplexInput(str) {
+    const compact = String(str).replace(/\s+/g, '');
+    const terms = compact.match(/[+-]?[^+-]+/g);
+    if (!terms || terms.join('') !== compact) return null;
+
+    let re = { n: 0n, d: 1n };
+    let im = { n: 0n, d: 1n };
+
+    for (const term of terms) {
+      const isImaginary = term.endsWith('i');
+      const body = isImaginary ? term.slice(0, -1) : term;
+      const value = isImaginary && /^[+-]?$/.test(body)
+        ? { n: body === '-' ? -1n : 1n, d: 1n }
+        : this.parseExactRational(body);
+
+      if (!value) return null;
+      if (isImaginary) {
+        im = addRational(im, value);
+      } else {
+        re = addRational(re, value);
+      }
+    }
+
+    return new Complex(re.n, re.d, im.n, im.d);
+  }
+
+  exactRationalFromInputs() {
+    const numerator = this.parseExactInteger(this.numeratorInput.value);
+    const denominator = this.parseExactInteger(this.denominatorInput.value);
+    const pi = this.parsePiRational(this.piDropdown.value);
+
+    if (numerator === null || denominator === null || denominator === 0n || !pi) {
+      return null;
+    }
+
+    return normalizeRational({ n: numerator * pi.n, d: denominator * pi.d });
+  }
+
   updateRationalFromDecimal() {
     const decimal = parseFloat(this.angleInput.value);
     if (isNaN(decimal)) return;
@@ -333,7 +552,7 @@ export class ComplexVisualizerUI {
     
     this.isUpdatingFromRational = false;
     
-    this.cachedExactRational = toBigIntRational(decimal);
+    this.cachedExactRational = this.exactRationalFromInputs() ?? toBigIntRational(decimal);
 
     this.updateHeaderFormula();
   }
@@ -396,17 +615,16 @@ export class ComplexVisualizerUI {
     const conv = this.hoveredConvergent.convergent;
     const index = this.hoveredConvergent.index;
 
-    const convFloat = conv.toFloat();
-    
-    const realStr = convFloat.re.toFixed(16).replace(/\.?0+$/, '');
-    const imagStr = Math.abs(convFloat.im).toFixed(16).replace(/\.?0+$/, '');
-    const sign = convFloat.im >= 0 ? '+' : '-';
+    const valueStr = conv.toDecimalString(this.displayDigits);
     const magnitudeStr = conv.magnitude().toFixed(16).replace(/\.?0+$/, '');
+    const bound = this.errorBounds ? this.errorBounds.final[index] : null;
+    const boundHTML = bound ? `<div class="magnitude">Error bound: ≤ ${toFloating(bound).toExponential(3)}</div>` : '';
 
     this.tooltip.innerHTML = `
       <h4>Convergent C${index}</h4>
-      <div class="value">${realStr} ${sign} ${imagStr}i</div>
+      <div class="value">${valueStr}</div>
       <div class="magnitude">Magnitude: ${magnitudeStr}</div>
+      ${boundHTML}
     `;
 
     const containerRect = this.canvasContainer.getBoundingClientRect();
@@ -500,11 +718,20 @@ export class ComplexVisualizerUI {
     return { real, imag };
   }
 
+  getImaginaryRational() {
+    if (this.mode !== 'circle') return null;
+
+    const value = parseFloat(this.imagInput.value);
+    if (isNaN(value) || value === 0) return null;
+
+    return toBigIntRational(value);
+  }
+
   getTrueReferenceAngle() {
     if (!this.cachedExactRational || this.cachedExactRational.d === 0n) {
       return null;
     }
-    return Number(this.cachedExactRational.n) / Number(this.cachedExactRational.d);
+    return toFloating(this.cachedExactRational);
   }
 
   drawVisibleUnitCircle() {
@@ -596,7 +823,7 @@ export class ComplexVisualizerUI {
     this.ctx.fillStyle = '#f8f9fa';
     this.ctx.fillRect(0, 0, this.complexCanvas.width, this.complexCanvas.height);
 
-    const gridStep = 0.2;
+    const gridStep = 0.2 * Math.pow(10, Math.max(0, Math.ceil(Math.log10(1 / this.viewState.scale))));
 
     const topLeft = this.mapFromCanvas(0, 0);
     const bottomRight = this.mapFromCanvas(this.complexCanvas.width, this.complexCanvas.height);
@@ -748,11 +975,13 @@ export class ComplexVisualizerUI {
       this.currentConvergentElement.textContent = `C${currentIndex}`;
       this.totalConvergentsElement.textContent = this.currentConvergents.length;
 
-      const distance = Math.abs(currentConv.magnitude() - 1);
+      const distance = this.isOffCircle()
+        ? this.distanceToReference(currentConv)
+        : Math.abs(currentConv.magnitude() - 1);
       this.distanceToUnitCircleElement.textContent = distance.toFixed(16).replace(/\.?0+$/, '');
         
       if (this.lastGeneratedAngle !== null) {
-          this.updateTrigComparison(currentConv);
+          this.updateTrigComparison(currentConv, currentIndex);
       }
     }
 
@@ -791,19 +1020,134 @@ export class ComplexVisualizerUI {
     }
   }
 
+  // Lambert convergents drawn over the CSCF sequence in "Both" mode, revealed in step with it.
+  drawOverlayConvergents() {
+    if (this.overlayConvergents.length === 0) return;
+
+    const count = this.isAnimating
+      ? Math.min(this.currentStep + 1, this.overlayConvergents.length)
+      : this.overlayConvergents.length;
+    const points = this.overlayConvergents.slice(0, count).map(conv => {
+      const { re, im } = conv.toFloat();
+      return this.mapToCanvas(re, im);
+    });
+
+    this.ctx.strokeStyle = '#e67e22';
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.beginPath();
+    points.forEach((point, i) => i === 0 ? this.ctx.moveTo(point.x, point.y) : this.ctx.lineTo(point.x, point.y));
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    points.forEach((point, i) => {
+      this.ctx.fillStyle = '#e67e22';
+      this.ctx.beginPath();
+      this.ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+      this.ctx.fill();
+
+      this.ctx.strokeStyle = 'white';
+      this.ctx.lineWidth = 1.5;
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = '#2c3e50';
+      this.ctx.font = '10px Open Sans';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(`L${i}`, point.x, point.y - 10);
+    });
+  }
+
   drawScene() {
     this.drawComplexPlane();
+    this.drawOverlayConvergents();
     this.drawConvergents();
     this.drawJSComparison();
+    this.drawAngleProbe();
   }
 
-  drawJSComparison() {
+  probeAngleAt(e) {
+    const rect = this.complexCanvas.getBoundingClientRect();
+    const point = this.mapFromCanvas(e.clientX - rect.left, e.clientY - rect.top);
+
+    const re = toBigIntRational(point.real);
+    const im = toBigIntRational(point.imag);
+    if (re.n === 0n && im.n === 0n) return;
+
+    const bits = Math.ceil(this.displayDigits * Math.log2(10)) + 8;
+    const { value, error } = atan2(im, re, { bits });
+
+    this.probePoint = { re: point.real, im: point.imag };
+
+    const sign = im.n >= 0n ? '+' : '-';
+    const reStr = cleanTrailingZeros(toDecimal(re, this.displayDigits));
+    const imStr = cleanTrailingZeros(toDecimal({ n: im.n < 0n ? -im.n : im.n, d: im.d }, this.displayDigits));
+    this.probePointElement.textContent = `${reStr} ${sign} ${imStr}i`;
+    this.probeAngleElement.textContent = toDecimal(value, this.displayDigits);
+    this.probeErrorElement.textContent = `≤ ${toFloating(error).toExponential(3)}`;
+    this.probeJsAngleElement.textContent = formatFullPrecision(Math.atan2(point.imag, point.real));
+    this.angleProbeElement.style.display = 'block';
+
+    this.drawScene();
+  }
+
+  drawAngleProbe() {
+    if (!this.probePoint) return;
+
+    const origin = this.mapToCanvas(0, 0);
+    const point = this.mapToCanvas(this.probePoint.re, this.probePoint.im);
+
+    this.ctx.strokeStyle = '#e67e22';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(origin.x, origin.y);
+    this.ctx.lineTo(point.x, point.y);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    this.ctx.fillStyle = '#e67e22';
+    this.ctx.beginPath();
+    this.ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+    this.ctx.fill();
+  }
+
+  getReferencePoint() {
+    if (this.mode === 'explorer') {
+      return this.explorerValue ? this.explorerValue.toFloat() : null;
+    }
+
     const refAngle = this.getTrueReferenceAngle();
-    if (refAngle === null) return;
+    if (refAngle === null) return null;
+
+    if (this.mode === 'real') {
+      return { re: Math.exp(refAngle), im: 0 };
+    }
+
+    const modulus = this.currentImaginary ? Math.exp(-toFloating(this.currentImaginary)) : 1;
+    return { re: modulus * Math.cos(refAngle), im: modulus * Math.sin(refAngle) };
+  }
+
+  distanceToReference(convergent) {
+    const reference = this.getReferencePoint();
+    if (!reference) return 0;
+
+    const convFloat = convergent.toFloat();
+    return Math.hypot(convFloat.re - reference.re, convFloat.im - reference.im);
+  }
 
-    const jsRe = Math.cos(refAngle);
-    const jsIm = Math.sin(refAngle);
-    const point = this.mapToCanvas(jsRe, jsIm);
+  isOffCircle() {
+    return this.mode !== 'circle' || this.currentImaginary !== null;
+  }
+
+  minScale() {
+    return this.isOffCircle() ? 1e-12 : 1;
+  }
+
+  drawJSComparison() {
+    const reference = this.getReferencePoint();
+    if (reference === null) return;
+
+    const point = this.mapToCanvas(reference.re, reference.im);
 
     this.ctx.fillStyle = '#9b59b6';
     this.ctx.beginPath();
@@ -831,6 +1175,10 @@ export class ComplexVisualizerUI {
     
     if (!indicesList || !coefficientsList || !baseConvergentsList || !finalConvergentsList) return;
 
+    const wideValues = this.displayDigits > 17;
+    baseConvergentsList.classList.toggle('wide-values', wideValues);
+    finalConvergentsList.classList.toggle('wide-values', wideValues);
+
     indicesList.innerHTML = '';
     coefficientsList.innerHTML = '';
     baseConvergentsList.innerHTML = '';
@@ -865,12 +1213,7 @@ export class ComplexVisualizerUI {
         baseEl.className = className;
         baseEl.setAttribute('data-index', i);
         if (i < baseConvergents.length) {
-            const b = baseConvergents[i];
-            const bFloat = b.toFloat();
-            const realStr = bFloat.re.toFixed(17);
-            const imagStr = Math.abs(bFloat.im).toFixed(17);
-            const sign = bFloat.im >= 0 ? '+' : '-';
-            baseEl.textContent = `${realStr} ${sign} ${imagStr}i`;
+            baseEl.textContent = baseConvergents[i].toDecimalString(this.displayDigits);
         }
         baseConvergentsList.appendChild(baseEl);
 
@@ -878,12 +1221,7 @@ export class ComplexVisualizerUI {
         finalEl.className = className;
         finalEl.setAttribute('data-index', i);
         if (i < finalConvergents.length) {
-            const f = finalConvergents[i];
-            const fFloat = f.toFloat();
-            const realStr = fFloat.re.toFixed(17);
-            const imagStr = Math.abs(fFloat.im).toFixed(17);
-            const sign = fFloat.im >= 0 ? '+' : '-';
-            finalEl.textContent = `${realStr} ${sign} ${imagStr}i`;
+            finalEl.textContent = finalConvergents[i].toDecimalString(this.displayDigits);
         }
         finalConvergentsList.appendChild(finalEl);
     }
@@ -896,16 +1234,76 @@ export class ComplexVisualizerUI {
     const convergentIterValue = document.getElementById('convergentIterationsValue');
     const exponentiationIterValue = document.getElementById('exponentiationIterationsValue');
     const totalIterValue = document.getElementById('totalIterationsValue');
+    const precisionLossValue = document.getElementById('precisionLossValue');
 
     if (convergentIterValue && exponentiationIterValue && totalIterValue) {
       convergentIterValue.textContent = iterationMetrics.convergentIterations;
       exponentiationIterValue.textContent = iterationMetrics.exponentIterations;
       totalIterValue.textContent = iterationMetrics.totalIterations;
-      
+
+      const loss = iterationMetrics.precisionLoss;
+      if (precisionLossValue) {
+        const label = loss && EXPONENTIATION_BACKENDS[loss.backend].label;
+        precisionLossValue.textContent = !loss
+          ? '-'
+          : loss.workingBits === Infinity
+            ? `no rounding (${label})`
+            : `${loss.effectiveBits} of ${loss.workingBits} bits (${label}, ~${loss.lostBits} lost)`;
+      }
+
+      this.displayCacheStats();
+      this.displayOperationProfile(iterationMetrics.operationProfile ?? null);
       summaryContainer.style.display = 'block';
     }
   }
 
+  displayOperationProfile(profile) {
+    this.operationProfileBody.innerHTML = '';
+    this.operationProfileTable.style.display = profile ? '' : 'none';
+    if (!profile) return;
+
+    // Phases are recorded in the order they first do work; list them in pipeline order instead.
+    // Convergents taken from the cache do none, so their phase may be missing.
+    const order = ['reduction', 'convergents', 'certification', 'exponentiation'];
+    const phases = Object.entries(profile).sort(([a], [b]) => order.indexOf(a) - order.indexOf(b));
+
+    for (const [phase, counters] of phases) {
+      const tr = document.createElement('tr');
+      const cells = [
+        phase,
+        counters.multiplications.toLocaleString(),
+        counters.gcds.toLocaleString(),
+        counters.approxFracs.toLocaleString(),
+        counters.maxOperandBits.toLocaleString(),
+        counters.totalOperandBits.toLocaleString()
+      ];
+
+      for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        tr.appendChild(cell);
+      }
+      this.operationProfileBody.appendChild(tr);
+    }
+  }
+
+  displayMethodComparison(cscf, lambert) {
+    const describe = (label, { mathLimitIndex, iterationMetrics }, prefix) => {
+      const limit = mathLimitIndex >= 0 ? `limit ${prefix}${mathLimitIndex}` : 'limit not reached';
+      const { convergentIterations, exponentIterations, totalIterations } = iterationMetrics;
+      return `${label}: ${limit}, ${totalIterations} iterations (${convergentIterations} + ${exponentIterations})`;
+    };
+
+    this.methodComparisonElement.textContent =
+      `${describe(TRIG_METHODS.cscf.label, cscf, 'C')} · ${describe(TRIG_METHODS.lambert.label, lambert, 'L')}`;
+    this.methodComparisonElement.style.display = '';
+  }
+
+  displayCacheStats() {
+    const { hits, misses, size, capacity } = convergentCacheStats();
+    this.cacheStatsElement.textContent = `${hits} hits / ${misses} misses (${size} of ${capacity} entries)`;
+  }
+
   generateAndPlot() {
     const angle = parseFloat(this.angleInput.value);
 
@@ -931,50 +1329,454 @@ export class ComplexVisualizerUI {
         this.cachedExactRational = minimalRational;
     }
     
+    this.currentImaginary = this.getImaginaryRational();
+    if (this.mode === 'explorer') {
+      this.explorerValue = this.parseComplexInput(this.complexInput.value);
+      if (!this.explorerValue) {
+        alert('Please enter a valid complex number, e.g. 3/7 - 2/5i.');
+        return;
+      }
+    }
     this.updateHeaderFormula();
+    this.updateComparisonLabels();
 
     let angleForCalculation = angle;
     if (minimalRational && minimalRational.d !== 0n) {
-        angleForCalculation = Number(minimalRational.n) / Number(minimalRational.d);
+        angleForCalculation = toFloating(minimalRational);
     }
     this.lastGeneratedAngle = angleForCalculation;
-    
-    const coefficients = generateCoefficients(Number(minimalRational.d), this.COEFFICIENT_COUNT);
-
-    const { 
-      baseConvergents, 
-      finalConvergents: allConvergents, 
-      mathLimitIndex,
-      iterationMetrics 
-    } = expWithConvergents(angleForCalculation, this.COEFFICIENT_COUNT, minimalRational);
 
-      const redundantStartIndex = mathLimitIndex >= 0 ? mathLimitIndex + 1 : -1;
-
-      this.allConvergents = allConvergents;
-      this.redundantStartIndex = redundantStartIndex;
+    const options = {
+      terms: this.COEFFICIENT_COUNT,
+      certify: true,
+      algorithm: this.algorithmSelect.value,
+      backend: this.backendSelect.value
+    };
+    const method = this.mode === 'circle' && !this.currentImaginary ? this.methodSelect.value : 'cscf';
+    this.overlayConvergents = [];
+    this.methodComparisonElement.style.display = 'none';
+
+    let result = null;
+    let steps;
+    if (method === 'lambert') {
+      result = lambertWithConvergents(angleForCalculation, options, minimalRational);
+    } else if (this.mode === 'real') {
+      result = expRealWithConvergents(angleForCalculation, options, minimalRational);
+    } else if (this.mode === 'explorer') {
+      result = this.expandExplorerValue();
+    } else if (this.currentImaginary) {
+      result = expiWithConvergents({ re: minimalRational, im: this.currentImaginary }, options);
+    } else {
+      steps = convergentStream(minimalRational.n, minimalRational.d, {
+        maxTerms: this.COEFFICIENT_COUNT,
+        extraTerms: this.REDUNDANT_DISPLAY_COUNT,
+        certify: true,
+        algorithm: this.algorithmSelect.value,
+        backend: this.backendSelect.value,
+        profile: true
+      });
 
-      if (redundantStartIndex >= 0) {
-        this.currentConvergents = allConvergents.slice(0, redundantStartIndex);
-      } else {
-        this.currentConvergents = allConvergents;
+      if (method === 'overlay') {
+        const uncertified = { ...options, certify: false };
+        const lambert = lambertWithConvergents(angleForCalculation, uncertified, minimalRational);
+        const cscf = expWithConvergents(angleForCalculation, uncertified, minimalRational);
+        this.overlayConvergents = lambert.finalConvergents;
+        this.displayMethodComparison(cscf, lambert);
       }
+    }
 
-      this.updateResultsGrid(coefficients, baseConvergents, allConvergents, redundantStartIndex, mathLimitIndex);
+      this.allConvergents = [];
+      this.currentConvergents = [];
+      this.redundantStartIndex = -1;
+      this.errorBounds = { final: [] };
+      this.lastResults = {
+        coefficients: [],
+        baseConvergents: [],
+        allConvergents: this.allConvergents,
+        redundantStartIndex: -1,
+        mathLimitIndex: -1
+      };
 
-      this.displayIterationMetrics(iterationMetrics);
+      this.updateResultsGrid([], [], [], -1, -1);
 
-      this.drawScene();
+      if (result) {
+        steps = this.resultSteps(result);
+        if (this.isOffCircle()) {
+          const { finalConvergents, mathLimitIndex } = result;
+          this.fitViewToConvergents(mathLimitIndex >= 0 ? finalConvergents.slice(0, mathLimitIndex + 1) : finalConvergents);
+        }
+      }
 
-      this.startAnimation();
+      this.startAnimation(steps);
     } catch (error) {
       alert(`Error: ${error.message}`);
       console.error(error);
     }
   }
 
-  startAnimation() {
-    if (this.currentConvergents.length === 0) return;
+  updateDisplayDigits() {
+    const digits = parseInt(this.digitsSelect.value, 10);
+    if (isNaN(digits)) return;
+
+    this.displayDigits = digits;
+
+    if (this.lastResults) {
+      const { coefficients, baseConvergents, allConvergents, redundantStartIndex, mathLimitIndex } = this.lastResults;
+      this.updateResultsGrid(coefficients, baseConvergents, allConvergents, redundantStartIndex, mathLimitIndex);
+    }
+
+    this.drawScene();
+  }
+
+  expandExplorerValue() {
+    const { coefficients, convergents, mathLimitIndex } = hurwitzExpansion(this.explorerValue, {
+      maxTerms: this.COEFFICIENT_COUNT
+    });
+    const convergentIterations = mathLimitIndex >= 0 ? mathLimitIndex + 1 : convergents.length;
+
+    return {
+      coefficients,
+      baseConvergents: convergents,
+      finalConvergents: convergents,
+      mathLimitIndex,
+      errorBounds: null,
+      iterationMetrics: {
+        convergentIterations,
+        exponentIterations: 0,
+        totalIterations: convergentIterations
+      }
+    };
+  }
+
+  updateMode() {
+    this.mode = ['real', 'explorer'].includes(this.modeSelect.value) ? this.modeSelect.value : 'circle';
+
+    const isExplorer = this.mode === 'explorer';
+    this.imagInput.disabled = this.mode === 'real';
+    this.angleInputsElement.style.display = isExplorer ? 'none' : '';
+    this.imagGroupElement.style.display = isExplorer ? 'none' : '';
+    this.complexGroupElement.style.display = isExplorer ? '' : 'none';
+    this.trigComparisonElement.style.display = isExplorer ? 'none' : '';
+    this.algorithmGroupElement.style.display = this.mode === 'circle' ? '' : 'none';
+    this.methodGroupElement.style.display = this.mode === 'circle' ? '' : 'none';
+    this.backendGroupElement.style.display = isExplorer ? 'none' : '';
+    this.algorithmComparisonElement.style.display = this.mode === 'circle' ? '' : 'none';
+    this.anglePlannerElement.style.display = this.mode === 'circle' ? '' : 'none';
+
+    this.generateAndPlot();
+  }
+
+  updateComparisonLabels() {
+    const isReal = this.mode === 'real';
+    if (this.mode === 'explorer') {
+      this.distanceLabelElement.textContent = 'Distance to z:';
+    } else {
+      this.distanceLabelElement.textContent = this.isOffCircle() ? 'Distance to Reference:' : 'Distance to Unit Circle:';
+    }
+    this.comparisonTitleElement.textContent = isReal ? 'Hyperbolic Value Comparison' : 'Trigonometric Value Comparison';
+
+    let labels;
+    if (isReal) {
+      labels = { Cos: ['cosh(x)', 'Hyperbolic Cosine'], Sin: ['sinh(x)', 'Hyperbolic Sine'], Tan: ['tanh(x)', 'Hyperbolic Tangent'] };
+    } else if (this.currentImaginary) {
+      labels = { Cos: ['cos(z)', 'Complex Cosine'], Sin: ['sin(z)', 'Complex Sine'], Tan: ['tan(z)', 'Complex Tangent'] };
+    } else {
+      labels = { Cos: ['cos(θ)', 'Cosine'], Sin: ['sin(θ)', 'Sine'], Tan: ['tan(θ)', 'Tangent'] };
+    }
+
+    for (const [key, [symbol, name]] of Object.entries(labels)) {
+      document.getElementById(`symbol${key}`).textContent = symbol;
+      document.getElementById(`name${key}`).textContent = name;
+    }
+
+    for (const element of Object.values(this.enclosureElements)) {
+      element.parentElement.style.display = this.isOffCircle() ? 'none' : '';
+    }
+
+    this.referenceGroupElement.style.display = this.isOffCircle() ? 'none' : '';
+    const referenceLabel = this.usesExactReference() ? 'Exact Reference' : 'JavaScript Math';
+    for (const element of this.trigComparisonElement.querySelectorAll('.reference-label')) {
+      element.textContent = referenceLabel;
+    }
+  }
+
+  usesExactReference() {
+    return !this.isOffCircle() && this.referenceSelect.value === 'exact';
+  }
+
+  // The Taylor reference at the exact rational angle, accurate well past the printed digits so
+  // that the differences measure the convergent and not the reference. Kept until the angle or
+  // the digit count changes.
+  getExactReference() {
+    const angle = this.cachedExactRational;
+    const bits = Math.ceil(this.displayDigits * Math.log2(10)) + this.REFERENCE_GUARD_BITS;
+    const key = `${angle.n}/${angle.d}|${bits}`;
+
+    if (this.exactReference?.key !== key) {
+      this.exactReference = { key, reference: trigReference(angle, { bits }) };
+    }
+    return this.exactReference.reference;
+  }
+
+  runPatternVerifier() {
+    const from = parseInt(this.verifyFromInput.value, 10);
+    const to = parseInt(this.verifyToInput.value, 10);
+    const terms = parseInt(this.verifyTermsInput.value, 10);
+
+    if (isNaN(from) || isNaN(to) || isNaN(terms) || from < 1 || to < from || terms < 1) {
+      alert('Please enter 1 ≤ q from ≤ q to and a positive number of terms.');
+      return;
+    }
+
+    this.verifyButton.disabled = true;
+    this.verifierSummaryElement.textContent = 'Verifying…';
+
+    setTimeout(() => {
+      try {
+        const { results, firstMismatch, acceleration } = verifyCoefficientPatterns({ from, to, terms });
+        this.renderVerifierResults(results, firstMismatch);
+        this.renderAccelerationCheck(acceleration);
+      } catch (error) {
+        alert(`Error: ${error.message}`);
+        console.error(error);
+      } finally {
+        this.verifyButton.disabled = false;
+      }
+    }, 0);
+  }
+
+  renderVerifierResults(results, firstMismatch) {
+    const variantLabels = { table: 'pattern', accelerated: 'accelerated' };
+    this.verifierTableBody.innerHTML = '';
+
+    for (const result of results) {
+      const row = document.createElement('tr');
+      if (result.mismatch) row.classList.add('mismatch');
+
+      let status = '✓';
+      if (result.mismatch) {
+        status = `mismatch at a${result.mismatch.index}`;
+      } else if (result.precisionExhausted) {
+        status = 'precision exhausted';
+      }
+
+      const cells = [
+        String(result.q),
+        variantLabels[result.variant],
+        `${result.verified}/${result.terms}`,
+        String(result.ties.length),
+        String(result.bits),
+        status
+      ];
+
+      for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      this.verifierTableBody.appendChild(row);
+    }
+
+    this.verifierTableElement.style.display = '';
+
+    if (!firstMismatch) {
+      this.verifierSummaryElement.textContent = `All ${results.length} tables agree with a nearest Gaussian integer expansion of e^(i/q).`;
+      return;
+    }
 
+    const { q, variant, mismatch } = firstMismatch;
+    this.verifierSummaryElement.textContent =
+      `First mismatch: q = ${q} (${variantLabels[variant]}) ${this.describeMismatch(mismatch)}.`;
+  }
+
+  describeMismatch({ index, expected, candidates }) {
+    const nearest = candidates.map(c => c.toDecimalString(0)).join(' or ');
+    return `at a${index}: table gives ${expected.toDecimalString(0)}, nearest Gaussian integer is ${nearest}`;
+  }
+
+  renderAccelerationCheck({ accelerated, pattern }) {
+    const describe = result => result.mismatch
+      ? `fails ${this.describeMismatch(result.mismatch)}`
+      : `verifies ${result.verified}/${result.terms} terms`;
+
+    this.accelerationSummaryElement.textContent =
+      `q = 1 acceleration: the accelerated table used for q = 1 ${describe(accelerated)}; ` +
+      `the general pattern it replaces ${describe(pattern)}.`;
+  }
+
+  runAlgorithmComparison() {
+    const minimalRational = this.cachedExactRational ?? toBigIntRational(parseFloat(this.angleInput.value));
+    if (!minimalRational) {
+      alert('Please enter a valid angle value.');
+      return;
+    }
+
+    this.compareButton.disabled = true;
+    this.comparisonSummaryElement.textContent = 'Comparing…';
+
+    setTimeout(() => {
+      try {
+        const rows = compareAlgorithms(toFloating(minimalRational), { terms: this.COEFFICIENT_COUNT }, minimalRational);
+        this.renderAlgorithmComparison(rows, minimalRational);
+      } catch (error) {
+        alert(`Error: ${error.message}`);
+        console.error(error);
+      } finally {
+        this.compareButton.disabled = false;
+      }
+    }, 0);
+  }
+
+  renderAlgorithmComparison(rows, angle) {
+    this.comparisonTableBody.innerHTML = '';
+
+    for (const row of rows) {
+      const tr = document.createElement('tr');
+      if (row.mathLimitIndex < 0) tr.classList.add('mismatch');
+
+      const error = row.limitErrorBound ? toFloating(row.limitErrorBound).toExponential(2) : '—';
+      const cells = [
+        row.label,
+        row.mathLimitIndex >= 0 ? String(row.mathLimitIndex) : `not reached (${row.coefficients.length} terms)`,
+        String(row.iterationMetrics.totalIterations),
+        row.limitDenominatorBits.toFixed(1),
+        error,
+        row.firstDifference === null ? '—' : String(row.firstDifference),
+        row.timeMs.toFixed(1)
+      ];
+
+      for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        tr.appendChild(cell);
+      }
+      this.comparisonTableBody.appendChild(tr);
+    }
+
+    this.comparisonTableElement.style.display = '';
+    this.comparisonSummaryElement.textContent =
+      `θ = ${angle.n}/${angle.d}, ${this.COEFFICIENT_COUNT} terms; errors are certified bounds on |e^(iθ) - C| at the limit index.`;
+  }
+
+  // Plans e^(iθ) for the displayed digits and evaluates both the naive and the chosen plan,
+  // so the estimated saving can be read against the measured one. The quick run times both
+  // with the fixed-point backend at no more than PLAN_PREVIEW_DIGITS; only the full run
+  // evaluates at the displayed digits with the selected backend.
+  runAnglePlanner(fullPrecision) {
+    const minimalRational = this.cachedExactRational ?? toBigIntRational(parseFloat(this.angleInput.value));
+    if (!minimalRational) {
+      alert('Please enter a valid angle value.');
+      return;
+    }
+
+    this.planButton.disabled = true;
+    this.planEvaluateButton.disabled = true;
+    this.planSummaryElement.textContent = fullPrecision ? `Evaluating at ${this.displayDigits} digits…` : 'Planning…';
+
+    setTimeout(() => {
+      try {
+        const angle = toFloating(minimalRational);
+        const options = fullPrecision
+          ? { digits: this.displayDigits, backend: this.backendSelect.value }
+          : { digits: Math.min(this.displayDigits, this.PLAN_PREVIEW_DIGITS), backend: 'fixed' };
+
+        const runs = ['naive', 'best'].map(plan => {
+          const start = performance.now();
+          const result = expPlanned(angle, { ...options, plan }, minimalRational);
+          return { result, timeMs: performance.now() - start };
+        });
+
+        this.renderAnglePlan(runs, minimalRational, planAngle(angle, options, minimalRational), options);
+      } catch (error) {
+        alert(`Error: ${error.message}`);
+        console.error(error);
+      } finally {
+        this.planButton.disabled = false;
+        this.planEvaluateButton.disabled = false;
+      }
+    }, 0);
+  }
+
+  renderAnglePlan([naive, chosen], angle, { candidates }, { digits, backend }) {
+    this.planTableBody.innerHTML = '';
+
+    for (const [name, { result, timeMs }] of [['Naive', naive], ['Chosen', chosen]]) {
+      const tr = document.createElement('tr');
+      const cells = [
+        `${name}: ${result.plan.label}`,
+        result.plan.expression,
+        `${result.plan.iterations.convergentIterations} + ${result.plan.iterations.exponentIterations}`,
+        result.plan.cost.toExponential(2),
+        toFloating(result.error).toExponential(2),
+        timeMs.toFixed(1)
+      ];
+
+      for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        tr.appendChild(cell);
+      }
+      this.planTableBody.appendChild(tr);
+    }
+
+    const estimated = chosen.result.plan.cost / naive.result.plan.cost;
+    const measured = chosen.timeMs / naive.timeMs;
+    const setting = `θ = ${angle.n}/${angle.d}, ${digits} digits, ${EXPONENTIATION_BACKENDS[backend].label}`;
+    this.planTableElement.style.display = '';
+    this.planSummaryElement.textContent = chosen.result.plan === chosen.result.naive
+      ? `${setting}: the direct power is ${candidates.length > 1 ? `the cheapest of ${candidates.length} plans` : 'the only plan'}.`
+      : `${setting}: best of ${candidates.length} plans, ` +
+        `estimated at ${(estimated * 100).toFixed(0)}% of the naive cost (measured ${(measured * 100).toFixed(0)}%).`;
+  }
+
+  // Adapts an eagerly computed pipeline result to the step shape of convergentStream, so
+  // every mode is animated by the same consumer.
+  *resultSteps({ coefficients, baseConvergents, finalConvergents, mathLimitIndex, errorBounds, iterationMetrics }) {
+    const { exponentIterations, precisionLoss = null } = iterationMetrics;
+
+    for (let i = 0; i < finalConvergents.length; i++) {
+      const convergentIterations = mathLimitIndex >= 0 && i >= mathLimitIndex ? mathLimitIndex + 1 : i + 1;
+      yield {
+        index: i,
+        coefficient: coefficients[i],
+        baseConvergent: baseConvergents[i],
+        finalConvergent: finalConvergents[i],
+        error: errorBounds ? errorBounds.final[i] : null,
+        isLimit: i === mathLimitIndex,
+        metrics: {
+          convergentIterations,
+          exponentIterations,
+          totalIterations: convergentIterations + exponentIterations,
+          precisionLoss
+        }
+      };
+    }
+  }
+
+  appendStep(step) {
+    const results = this.lastResults;
+    results.coefficients.push(step.coefficient);
+    results.baseConvergents.push(step.baseConvergent);
+    this.allConvergents.push(step.finalConvergent);
+    this.errorBounds.final.push(step.error);
+
+    if (this.redundantStartIndex < 0) {
+      this.currentConvergents.push(step.finalConvergent);
+    }
+
+    if (step.isLimit) {
+      results.mathLimitIndex = step.index;
+      results.redundantStartIndex = this.redundantStartIndex = step.index + 1;
+    }
+
+    const { coefficients, baseConvergents, allConvergents, redundantStartIndex, mathLimitIndex } = results;
+    this.updateResultsGrid(coefficients, baseConvergents, allConvergents, redundantStartIndex, mathLimitIndex);
+    this.displayIterationMetrics(step.metrics);
+  }
+
+  // Pulls one step per frame from a convergent stream; nothing past the last drawn step is
+  // computed, and a new plot simply abandons the old stream.
+  startAnimation(steps) {
     if (this.animationInterval) {
       clearInterval(this.animationInterval);
     }
@@ -982,16 +1784,36 @@ export class ComplexVisualizerUI {
     this.isAnimating = true;
     this.currentStep = 0;
 
-    this.animationInterval = setInterval(() => {
-      this.currentStep++;
+    const stop = () => {
+      clearInterval(this.animationInterval);
+      this.animationInterval = null;
+      this.isAnimating = false;
       this.drawScene();
+    };
 
-      if (this.currentStep >= this.currentConvergents.length) {
-        clearInterval(this.animationInterval);
-        this.isAnimating = false;
-        this.drawScene();
+    const advance = () => {
+      let next;
+      try {
+        next = steps.next();
+      } catch (error) {
+        stop();
+        alert(`Error: ${error.message}`);
+        console.error(error);
+        return;
       }
-    }, 100);
+
+      if (next.done) {
+        stop();
+        return;
+      }
+
+      this.appendStep(next.value);
+      this.currentStep = this.currentConvergents.length - 1;
+      this.drawScene();
+    };
+
+    this.animationInterval = setInterval(advance, 100);
+    advance();
   }
 
   generateRandomAngle() {
@@ -1017,20 +1839,11 @@ export class ComplexVisualizerUI {
     this.drawScene();
   }
 
-  zoomToLastConvergent() {
-    if (this.currentConvergents.length < 2) {
-      alert('Need at least 2 valid convergents to zoom.');
-      return;
-    }
-
-    const lastIndex = this.currentConvergents.length - 1;
-    const lastConv = this.currentConvergents[lastIndex].toFloat();
-    const prevConv = this.currentConvergents[lastIndex - 1].toFloat();
-
-    const minReal = Math.min(lastConv.re, prevConv.re);
-    const maxReal = Math.max(lastConv.re, prevConv.re);
-    const minImag = Math.min(lastConv.im, prevConv.im);
-    const maxImag = Math.max(lastConv.im, prevConv.im);
+  fitView(points, minScale = 0.8) {
+    const minReal = Math.min(...points.map(p => p.re));
+    const maxReal = Math.max(...points.map(p => p.re));
+    const minImag = Math.min(...points.map(p => p.im));
+    const maxImag = Math.max(...points.map(p => p.im));
 
     const centerReal = (minReal + maxReal) / 2;
     const centerImag = (minImag + maxImag) / 2;
@@ -1057,66 +1870,69 @@ export class ComplexVisualizerUI {
     this.viewState.centerY = -centerImag;
     this.viewState.scale = requiredScale * 1.1;
 
-    if (this.viewState.scale < 0.8) {
-      this.viewState.scale = 0.8;
+    if (this.viewState.scale < minScale) {
+      this.viewState.scale = minScale;
     }
 
     this.drawScene();
   }
 
-  zoomToReference() {
-    const refAngle = this.getTrueReferenceAngle();
-    if (this.currentConvergents.length === 0 || refAngle === null) {
-      alert('Need valid convergents and reference angle to zoom.');
+  fitViewToConvergents(convergents = this.currentConvergents) {
+    const points = [{ re: 0, im: 0 }, ...convergents.map(conv => conv.toFloat())];
+    const reference = this.getReferencePoint();
+    if (reference) points.push(reference);
+
+    this.fitView(points, Math.min(0.8, this.minScale()));
+  }
+
+  zoomToLastConvergent() {
+    if (this.currentConvergents.length < 2) {
+      alert('Need at least 2 valid convergents to zoom.');
       return;
     }
 
-    const refRe = Math.cos(refAngle);
-    const refIm = Math.sin(refAngle);
-
-    const lastConv = this.currentConvergents[this.currentConvergents.length - 1].toFloat();
+    const lastIndex = this.currentConvergents.length - 1;
+    const lastConv = this.currentConvergents[lastIndex].toFloat();
+    const prevConv = this.currentConvergents[lastIndex - 1].toFloat();
 
-    const minReal = Math.min(lastConv.re, refRe);
-    const maxReal = Math.max(lastConv.re, refRe);
-    const minImag = Math.min(lastConv.im, refIm);
-    const maxImag = Math.max(lastConv.im, refIm);
+    this.fitView([lastConv, prevConv], Math.min(0.8, this.minScale()));
+  }
 
-    const centerReal = (minReal + maxReal) / 2;
-    const centerImag = (minImag + maxImag) / 2;
+  zoomToReference() {
+    const reference = this.getReferencePoint();
+    if (this.currentConvergents.length === 0 || reference === null) {
+      alert('Need valid convergents and reference angle to zoom.');
+      return;
+    }
 
-    let width = maxReal - minReal;
-    let height = maxImag - minImag;
+    const lastConv = this.currentConvergents[this.currentConvergents.length - 1].toFloat();
 
-    const minSize = 1e-15;
-    if (width < minSize) width = minSize;
-    if (height < minSize) height = minSize;
+    this.fitView([lastConv, reference], Math.min(0.8, this.minScale()));
+  }
 
-    const padding = 0.2;
-    const paddedWidth = width * (1 + 2 * padding);
-    const paddedHeight = height * (1 + 2 * padding);
 
-    const canvasSize = this.complexCanvas.width;
-    const boundsRange = 2.4;
+  updateTrigComparison(convergent, index) {
+    if (this.mode === 'explorer') return;
 
-    const requiredScaleX = canvasSize / paddedWidth;
-    const requiredScaleY = canvasSize / paddedHeight;
-    const requiredScale = Math.min(requiredScaleX, requiredScaleY) * (boundsRange / canvasSize);
+    const refAngle = this.getTrueReferenceAngle();
+    if (refAngle === null) return;
 
-    this.viewState.centerX = -centerReal;
-    this.viewState.centerY = -centerImag;
-    this.viewState.scale = requiredScale * 1.1;
+    this.updateCorrectDigits(convergent, index);
 
-    if (this.viewState.scale < 0.8) {
-      this.viewState.scale = 0.8;
+    if (this.mode === 'real') {
+      this.updateHyperbolicComparison(convergent, refAngle);
+      return;
     }
 
-    this.drawScene();
-  }
-
+    if (this.currentImaginary) {
+      this.updateComplexComparison(convergent, refAngle, toFloating(this.currentImaginary));
+      return;
+    }
 
-  updateTrigComparison(convergent) {
-    const refAngle = this.getTrueReferenceAngle();
-    if (refAngle === null) return;
+    if (this.usesExactReference()) {
+      this.updateExactComparison(convergent, index);
+      return;
+    }
     
     const jsCos = Math.cos(refAngle);
     const jsSin = Math.sin(refAngle);
@@ -1132,21 +1948,18 @@ export class ComplexVisualizerUI {
     const convCos = convFloat.re;
     const convSin = convFloat.im;
     let convTan;
+    let convTanStr;
 
     if (convergent.re.n === 0n) {
       convTan = convergent.im.n > 0n ? Infinity : -Infinity;
     } else {
-      const tanRational = {
+      const tanRational = normalizeRational({
         n: convergent.im.n * convergent.re.d,
         d: convergent.im.d * convergent.re.n
-      };
-      
-      if (tanRational.d < 0n) {
-        tanRational.n = -tanRational.n;
-        tanRational.d = -tanRational.d;
-      }
+      });
       
       convTan = Number(tanRational.n) / Number(tanRational.d);
+      convTanStr = toDecimal(tanRational, this.displayDigits);
     }
 
     const diffCos = Math.abs(jsCos - convCos);
@@ -1161,29 +1974,170 @@ export class ComplexVisualizerUI {
       diffTan = Math.abs(jsTan - convTan);
     }
 
-    const setValueWithTooltip = (element, value, isDiff = false) => {
-      let formatted = isDiff ? formatDifference(value) : formatFullPrecision(value);
-      
-      if (!formatted.includes('e') && !formatted.includes('∞')) {
-        formatted = cleanTrailingZeros(formatted);
+    this.setExactValue(this.convergentCosElement, convCos, toDecimal(convergent.re, this.displayDigits));
+    this.setValueWithTooltip(this.jsCosElement, jsCos);
+    this.setValueWithTooltip(this.diffCosElement, diffCos, true);
+
+    this.setExactValue(this.convergentSinElement, convSin, toDecimal(convergent.im, this.displayDigits));
+    this.setValueWithTooltip(this.jsSinElement, jsSin);
+    this.setValueWithTooltip(this.diffSinElement, diffSin, true);
+
+    this.setExactValue(this.convergentTanElement, convTan, convTanStr);
+    this.setValueWithTooltip(this.jsTanElement, jsTan);
+    this.setValueWithTooltip(this.diffTanElement, diffTan, true);
+
+    this.updateEnclosures(convergent, this.errorBounds ? this.errorBounds.final[index] : null);
+
+    this.highlightComparison();
+
+    this.updateConvergenceIndicator(diffCos, diffSin, diffTan);
+  }
+
+  updateExactComparison(convergent, index) {
+    const reference = this.getExactReference();
+    const tangent = ({ re, im }) => re.n === 0n ? null : divideRational(im, re);
+    const errorText = `Reference error: ≤ ${toExponential(reference.error, 2)} (on e^iθ)`;
+
+    const rows = [
+      [this.convergentCosElement, this.jsCosElement, this.diffCosElement, convergent.re, reference.value.re],
+      [this.convergentSinElement, this.jsSinElement, this.diffSinElement, convergent.im, reference.value.im],
+      [this.convergentTanElement, this.jsTanElement, this.diffTanElement, tangent(convergent), tangent(reference.value)]
+    ];
+
+    const diffs = rows.map(([convergentElement, referenceElement, diffElement, value, referenceValue]) => {
+      if (value === null) {
+        this.setValueWithTooltip(convergentElement, convergent.im.n > 0n ? Infinity : -Infinity);
+      } else {
+        this.setExactValue(convergentElement, toFloating(value), toDecimal(value, this.displayDigits));
       }
+      this.setExactValue(referenceElement, toFloating(referenceValue), toDecimal(referenceValue, this.displayDigits));
 
-      element.textContent = formatted;
-      element.title = `${formatted}\nRaw value: ${value}`;
+      if (value === null) {
+        this.setValueWithTooltip(diffElement, Infinity, true);
+        return Infinity;
+      }
+
+      const diff = subtractRational(value, referenceValue);
+      const formatted = toExponential({ n: diff.n < 0n ? -diff.n : diff.n, d: diff.d });
+      diffElement.textContent = formatted;
+      diffElement.title = `${formatted}\n${errorText}`;
+      return Math.abs(toFloating(diff));
+    });
+
+    this.updateEnclosures(convergent, this.errorBounds ? this.errorBounds.final[index] : null);
+
+    this.highlightComparison();
+
+    this.updateConvergenceIndicator(...diffs);
+  }
+
+  updateHyperbolicComparison(convergent, x) {
+    const exact = hyperbolicValues(convergent.re);
+
+    const rows = [
+      [this.convergentCosElement, this.jsCosElement, this.diffCosElement, exact.cosh, Math.cosh(x)],
+      [this.convergentSinElement, this.jsSinElement, this.diffSinElement, exact.sinh, Math.sinh(x)],
+      [this.convergentTanElement, this.jsTanElement, this.diffTanElement, exact.tanh, Math.tanh(x)]
+    ];
+
+    const diffs = rows.map(([convergentElement, jsElement, diffElement, exactValue, jsValue]) => {
+      const convValue = toFloating(exactValue);
+      const diff = Math.abs(jsValue - convValue) / Math.max(1, Math.abs(jsValue));
+
+      this.setExactValue(convergentElement, convValue, toDecimal(exactValue, this.displayDigits));
+      this.setValueWithTooltip(jsElement, jsValue);
+      this.setValueWithTooltip(diffElement, diff, true);
+      return diff;
+    });
+
+    this.highlightComparison();
+
+    this.updateConvergenceIndicator(...diffs);
+  }
+
+  updateComplexComparison(convergent, a, b) {
+    const exact = trigValues(convergent);
+
+    const jsCos = { re: Math.cos(a) * Math.cosh(b), im: -Math.sin(a) * Math.sinh(b) };
+    const jsSin = { re: Math.sin(a) * Math.cosh(b), im: Math.cos(a) * Math.sinh(b) };
+    const cosNormSq = jsCos.re * jsCos.re + jsCos.im * jsCos.im;
+    const jsTan = {
+      re: (jsSin.re * jsCos.re + jsSin.im * jsCos.im) / cosNormSq,
+      im: (jsSin.im * jsCos.re - jsSin.re * jsCos.im) / cosNormSq
     };
 
-    setValueWithTooltip(this.convergentCosElement, convCos);
-    setValueWithTooltip(this.jsCosElement, jsCos);
-    setValueWithTooltip(this.diffCosElement, diffCos, true);
+    const rows = [
+      [this.convergentCosElement, this.jsCosElement, this.diffCosElement, exact.cos, jsCos],
+      [this.convergentSinElement, this.jsSinElement, this.diffSinElement, exact.sin, jsSin],
+      [this.convergentTanElement, this.jsTanElement, this.diffTanElement, exact.tan, jsTan]
+    ];
+
+    const diffs = rows.map(([convergentElement, jsElement, diffElement, exactValue, jsValue]) => {
+      const convFloat = exactValue.toFloat();
+      const diff = Math.hypot(jsValue.re - convFloat.re, jsValue.im - convFloat.im);
+
+      this.setExactValue(convergentElement, diff, exactValue.toDecimalString(this.displayDigits));
+
+      const sign = jsValue.im >= 0 ? '+' : '-';
+      const jsStr = `${formatFullPrecision(jsValue.re)} ${sign} ${formatFullPrecision(Math.abs(jsValue.im))}i`;
+      jsElement.textContent = jsStr;
+      jsElement.title = jsStr;
+
+      this.setValueWithTooltip(diffElement, diff, true);
+      return diff;
+    });
+
+    this.highlightComparison();
+
+    this.updateConvergenceIndicator(...diffs);
+  }
+
+  updateEnclosures(convergent, bound) {
+    const enclosure = bound ? trigEnclosure(convergent, bound) : null;
+
+    for (const [name, element] of Object.entries(this.enclosureElements)) {
+      const interval = enclosure ? enclosure[name] : null;
+      if (!interval) {
+        element.textContent = bound ? 'unbounded' : '-';
+        element.title = '';
+        continue;
+      }
+
+      // Widen by one unit in the last printed digit so that rounding to nearest stays outward.
+      const ulp = { n: 1n, d: 10n ** BigInt(this.displayDigits) };
+      const lo = toDecimal(subtractRational(interval.lo, ulp), this.displayDigits);
+      const hi = toDecimal(addRational(interval.hi, ulp), this.displayDigits);
+
+      element.textContent = `[${cleanTrailingZeros(lo)}, ${cleanTrailingZeros(hi)}]`;
+      element.title = `${element.textContent}\nError bound: ${toFloating(bound).toExponential(6)}`;
+      element.classList.toggle('wide-value', this.displayDigits > 17);
+    }
+  }
+
+  setValueWithTooltip(element, value, isDiff = false) {
+    let formatted = isDiff ? formatDifference(value) : formatFullPrecision(value);
+    
+    if (!formatted.includes('e') && !formatted.includes('∞')) {
+      formatted = cleanTrailingZeros(formatted);
+    }
+
+    element.textContent = formatted;
+    element.title = `${formatted}\nRaw value: ${value}`;
+  }
 
-    setValueWithTooltip(this.convergentSinElement, convSin);
-    setValueWithTooltip(this.jsSinElement, jsSin);
-    setValueWithTooltip(this.diffSinElement, diffSin, true);
+  setExactValue(element, value, exactStr) {
+    if (exactStr === undefined) {
+      this.setValueWithTooltip(element, value);
+      return;
+    }
 
-    setValueWithTooltip(this.convergentTanElement, convTan);
-    setValueWithTooltip(this.jsTanElement, jsTan);
-    setValueWithTooltip(this.diffTanElement, diffTan, true);
+    const formatted = cleanTrailingZeros(exactStr);
+    element.textContent = formatted;
+    element.title = `${formatted}\nDigits: ${this.displayDigits}`;
+    element.classList.toggle('wide-value', this.displayDigits > 17);
+  }
 
+  highlightComparison() {
     highlightElement(this.convergentCosElement);
     highlightElement(this.jsCosElement);
     highlightElement(this.diffCosElement);
@@ -1193,8 +2147,25 @@ export class ComplexVisualizerUI {
     highlightElement(this.convergentTanElement);
     highlightElement(this.jsTanElement);
     highlightElement(this.diffTanElement);
+  }
 
-    this.updateConvergenceIndicator(diffCos, diffSin, diffTan);
+  // How many digits of e^iθ the convergent gets right: measured against the exact reference,
+  // whose own error is added in, and certified by the error bound when there is one. The
+  // measurement resolves no more than the displayed digits.
+  updateCorrectDigits(convergent, index) {
+    if (this.isOffCircle() || !this.cachedExactRational) {
+      this.correctDigitsElement.textContent = '-';
+      return;
+    }
+
+    const reference = this.getExactReference();
+    const measured = addRational(convergent.subtract(reference.value).magnitudeUpperBound(), reference.error);
+    const bound = this.errorBounds ? this.errorBounds.final[index] : null;
+    const describe = digits => digits >= this.displayDigits ? `all ${this.displayDigits}` : String(digits);
+
+    let text = `${describe(decimalPrecision(measured))} digits correct against the exact reference`;
+    if (bound) text += `, ${describe(decimalPrecision(bound))} certified`;
+    this.correctDigitsElement.textContent = text;
   }
 
   updateConvergenceIndicator(diffCos, diffSin, diffTan) {
@@ -1254,6 +2225,11 @@ export class ComplexVisualizerUI {
   }
 
   updateHeaderFormula() {
+    if (this.headerFormula && this.mode === 'explorer' && this.explorerValue) {
+      this.headerFormula.textContent = `Hurwitz continued fraction of z = ${this.complexInput.value.trim()}`;
+      return;
+    }
+
     if (!this.headerFormula || !this.cachedExactRational) return;
     
     const { n, d } = this.cachedExactRational;
@@ -1266,9 +2242,10 @@ export class ComplexVisualizerUI {
     }
 
     let headerHTML = 'Calculate for ';
+    const unit = this.mode === 'real' ? '' : 'i &middot; ';
     
     if (nFinal === 1n && dFinal === 1n) {
-      headerHTML += '<span class="base-e">e</span><span class="exponent">i</span>';
+      headerHTML += `<span class="base-e">e</span><span class="exponent">${this.mode === 'real' ? '1' : 'i'}</span>`;
     } else if (nFinal === 1n) {
        const fractionHTML = `
         <div class="header-fraction">
@@ -1277,9 +2254,9 @@ export class ComplexVisualizerUI {
           <span class="den">${dFinal}</span>
         </div>
       `;
-      headerHTML += `<span class="base-e">e</span><span class="exponent">i &middot; ${fractionHTML}</span>`;
+      headerHTML += `<span class="base-e">e</span><span class="exponent">${unit}${fractionHTML}</span>`;
     } else if (dFinal === 1n) {
-       headerHTML += `<span class="base-e">e</span><span class="exponent">i &middot; ${nFinal}</span>`;
+       headerHTML += `<span class="base-e">e</span><span class="exponent">${unit}${nFinal}</span>`;
     } else {
       const fractionHTML = `
         <div class="header-fraction">
@@ -1288,9 +2265,15 @@ export class ComplexVisualizerUI {
           <span class="den">${dFinal}</span>
         </div>
       `;
-      headerHTML += `<span class="base-e">e</span><span class="exponent">i &middot; ${fractionHTML}</span>`;
+      headerHTML += `<span class="base-e">e</span><span class="exponent">${unit}${fractionHTML}</span>`;
     }
     
+    if (this.mode !== 'real' && this.currentImaginary) {
+      const { n: bn, d: bd } = this.currentImaginary;
+      const exponent = bd === 1n ? `${-bn}` : `${-bn}/${bd}`;
+      headerHTML += ` &middot; <span class="base-e">e</span><span class="exponent">${exponent}</span>`;
+    }
+
     this.headerFormula.innerHTML = headerHTML;
   }
 }